@@ -0,0 +1,68 @@
+import { observable, action } from 'mobx';
+import { browserEnvironment, listen } from './environment';
+
+const debug = require('debug')('model.ActivityMonitor');
+
+const ACTIVITY_EVENTS = [
+  'mousedown',
+  'mousemove',
+  'keydown',
+  'scroll',
+  'touchstart'
+];
+const ACTIVITY_KEY = 'auth.lastActivity';
+
+// Activity is recorded at most this often, so mousemove does not hammer localStorage.
+const THROTTLE = 5000;
+
+// Tracks when the user last interacted with the page. Like `auth.lastRefreshed`, the timestamp
+// lives in localStorage so that working in one tab keeps the session alive in the others.
+export default class ActivityMonitor {
+  @observable lastActivity = 0;
+
+  listeners = [];
+
+  constructor (env = browserEnvironment()) {
+    debug('constructor()');
+
+    this.env = env;
+    this.storage = env.localStorage;
+    this.record();
+    this.removeListeners = [
+      ...ACTIVITY_EVENTS.map(type =>
+        listen(env, type, this.handleActivity, { passive: true })
+      ),
+      listen(env, 'storage', this.handleStorage)
+    ];
+  }
+
+  // Loading the page counts as activity too.
+  @action
+  record () {
+    this.lastActivity = this.env.clock.now();
+    this.storage.setItem(ACTIVITY_KEY, this.lastActivity);
+    this.listeners.forEach(listener => listener(this.lastActivity));
+  }
+
+  onActivity (listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  handleActivity = () => {
+    if (this.env.clock.now() - this.lastActivity >= THROTTLE) this.record();
+  };
+
+  handleStorage = action(event => {
+    if (event.key === ACTIVITY_KEY && event.newValue) {
+      this.lastActivity = Math.max(this.lastActivity, Number(event.newValue));
+    }
+  });
+
+  dispose () {
+    this.removeListeners.forEach(remove => remove());
+    this.listeners = [];
+  }
+}
@@ -1,7 +1,77 @@
 import { observable, computed, action, autorun } from 'mobx';
 import qs from 'qs';
+import {
+  AuthError,
+  ConflictError,
+  NetworkError,
+  TimeoutError
+} from './errors';
+import { createChallenge, randomToken } from './pkce';
+import { passwordErrorMessage } from './PasswordStore';
+import Persistence from './Persistence';
+import { accountSchema, loginSchema } from './schemas';
 const debug = require('debug')('model.AuthStore');
 
+const ACCOUNT_CACHE_TTL = 10000;
+
+const PERSISTED_FIELDS = [
+  'username',
+  'firstName',
+  'lastName',
+  'email',
+  'phoneNumber',
+  'sponsor',
+  'hasPassword',
+  'permissions',
+  'sponsors'
+];
+
+// The role, in the admin module, that allows support staff to act as another user.
+const IMPERSONATION_MODULE = 'admin';
+const IMPERSONATION_ROLE = 'impersonate';
+const IMPERSONATION_HEADER = 'X-Impersonate-User';
+
+// Holds the PKCE verifier, state and nonce between leaving for the SSO host and coming back.
+const PKCE_KEY = 'auth.pkce';
+
+const CALLBACK_ERRORS = {
+  access_denied: 'Sign-in was cancelled.',
+  login_required: 'Please sign in to continue.',
+  temporarily_unavailable:
+    'Sign-in is temporarily unavailable. Please try again later.'
+};
+
+// Keyed by the `error` code the login and MFA endpoints answer with.
+const LOGIN_ERRORS = {
+  invalid_credentials: 'Your username or password was entered incorrectly.',
+  account_locked:
+    'Your account has been locked after too many failed attempts. Please try again later or contact support.',
+  invalid_code: 'The code you entered is incorrect.',
+  code_expired: 'This code has expired. Please request a new one.',
+  resend_failed: 'A new code could not be sent. Please try again.',
+  network_error:
+    'The server could not be reached. Please check your connection and try again.',
+  server_error: 'Sign-in is temporarily unavailable. Please try again later.'
+};
+
+// Failures that say nothing about what the user entered, so the current step stays open.
+const TRANSIENT_LOGIN_ERRORS = [
+  'resend_failed',
+  'network_error',
+  'server_error'
+];
+
+// `fallback` is the code for a rejection the server gave no known reason for.
+const loginErrorCode = (err, fallback = 'invalid_credentials') => {
+  if (err instanceof NetworkError || err instanceof TimeoutError) {
+    return 'network_error';
+  }
+  if (Number(err.status) === 423) return 'account_locked';
+  if (err.body && LOGIN_ERRORS[err.body.error]) return err.body.error;
+  if (!err.status || Number(err.status) >= 500) return 'server_error';
+  return fallback;
+};
+
 class AuthStore {
   @observable isLoggedIn = false;
   @observable isLoggedOut = false;
@@ -18,31 +88,74 @@ class AuthStore {
   @observable hasPassword = false;
   @observable permissions = [];
   @observable sponsors = [];
+  // credentials -> challenge -> verifying -> loggedIn. A login that needs a second factor stops
+  // at `challenge`, which then holds `{ token, type, ...metadata }` from the server.
+  @observable loginStep = 'credentials';
+  @observable challenge = null;
+  // The LOGIN_ERRORS code of the last failed step, or null.
+  @observable loginError = null;
+  // While impersonating, the fields above describe the impersonated user and this holds the
+  // signed-in user's own account.
+  @observable realUser = null;
 
   @observable refreshed = Date.now();
 
+  policy = null;
+  stopImpersonationHeader = null;
+
   constructor (restStore, configStore) {
     debug('constructor(%o, %o)', restStore, configStore);
 
     this.restStore = restStore;
     this.configStore = configStore;
-
-    autorun(() => {
-      if (this.isLoggedIn && restStore.expired === true) {
-        debug(
-          'this.isLoggedIn = %s, restStore.expired = %s',
-          this.isLoggedIn,
-          restStore.expired
-        );
-        this.logout();
-      } else if (Number(restStore.status) === 401) {
-        this.authenticate();
-      }
+    restStore.authStore = this;
+    // Contact details are only saved, encrypted, once the app provides hooks through
+    // persistence.configure({ encryption }). Impersonated accounts are never written.
+    this.persistence = new Persistence(this, {
+      key: 'account',
+      env: restStore.env,
+      fields: PERSISTED_FIELDS,
+      version: 1,
+      sensitive: ['email', 'phoneNumber'],
+      when: () => this.isLoggedIn && !this.isImpersonating
     });
+
+    this.disposers = [
+      autorun(() => {
+        if (this.isLoggedIn && restStore.expired === true) {
+          debug(
+            'this.isLoggedIn = %s, restStore.expired = %s',
+            this.isLoggedIn,
+            restStore.expired
+          );
+          this.logout();
+        } else if (Number(restStore.status) === 401) {
+          restStore.invalidate('/api/account');
+          this.authenticate();
+        }
+      }),
+      // Keep other tabs of the same browser in step with this one.
+      restStore.tabSync.on('login', () => {
+        if (!this.isLoggedIn) this.authenticate();
+      }),
+      restStore.tabSync.on('logout', () => {
+        if (this.isLoggedIn) {
+          this.loggedOut('You have been logged out in another tab.');
+        }
+      })
+    ];
+  }
+
+  dispose () {
+    this.disposers.forEach(dispose => dispose());
+    this.disposers = [];
+    this.persistence.dispose();
   }
 
   @action
   reset () {
+    this.endImpersonation();
+    this.persistence.clear();
     this.isLoggedIn = false;
     this.isLoggedOut = false;
     this.loginFailed = false;
@@ -58,6 +171,9 @@ class AuthStore {
     this.hasPassword = false;
     this.permissions.replace([]);
     this.sponsors = [];
+    this.loginStep = 'credentials';
+    this.challenge = null;
+    this.loginError = null;
   }
 
   @action
@@ -75,8 +191,8 @@ class AuthStore {
     return this.isLoggedIn;
   }
 
-  getLoginURL (redirectURL, state) {
-    debug('getLoginURL(%s,%s)', redirectURL, state);
+  getLoginURL (redirectURL, state, params = {}) {
+    debug('getLoginURL(%s,%s,%o)', redirectURL, state, params);
 
     return (
       `${this.configStore.ssoHost}/oauth2/authorize?` +
@@ -85,13 +201,116 @@ class AuthStore {
           response_type: 'code',
           client_id: this.configStore.ssoId,
           redirect_uri: redirectURL,
-          state: state
+          state: state,
+          ...params
         },
         { skipNulls: true }
       )
     );
   }
 
+  // Starts an SSO login: generates and stores a PKCE verifier, state and nonce and resolves with
+  // the authorize URL to send the browser to. `returnTo` is kept locally and handed back by
+  // handleCallback() once the login completes.
+  async beginLogin (redirectURL, returnTo = null) {
+    debug('beginLogin(%s,%s)', redirectURL, returnTo);
+
+    if (this.configStore.ssoMethod === 'direct') {
+      throw new Error('SSO login is not enabled for this site');
+    }
+
+    const { crypto } = this.restStore.env;
+    const verifier = randomToken(crypto);
+    const state = randomToken(crypto, 16);
+    const nonce = randomToken(crypto, 16);
+    this.restStore.env.sessionStorage.setItem(
+      PKCE_KEY,
+      JSON.stringify({ verifier, state, nonce, redirectURL, returnTo })
+    );
+
+    return this.getLoginURL(redirectURL, state, {
+      code_challenge: await createChallenge(crypto, verifier),
+      code_challenge_method: 'S256',
+      nonce
+    });
+  }
+
+  // Completes an SSO login on the redirect URL: checks the state, exchanges the code and verifier
+  // through the backend and loads the account. Resolves with `{ returnTo }` on success; on
+  // failure `error` and `loginFailed` are set and it resolves with null.
+  @action
+  handleCallback (url = this.restStore.env.location.href) {
+    debug('handleCallback(%s)', url);
+
+    const query = url.split('#')[0].split('?')[1] || '';
+    const params = qs.parse(query);
+    const { sessionStorage } = this.restStore.env;
+    // Unreadable state counts as missing, so the sign-in fails the usual way below.
+    let pending = null;
+    try {
+      pending = JSON.parse(sessionStorage.getItem(PKCE_KEY) || 'null');
+    } catch (e) {
+      debug('handleCallback() could not read the PKCE state: %o', e);
+    }
+    sessionStorage.removeItem(PKCE_KEY);
+
+    let error = null;
+    if (params.error) {
+      error = new AuthError(
+        CALLBACK_ERRORS[params.error] ||
+          params.error_description ||
+          `Sign-in failed (${params.error}).`,
+        { body: params }
+      );
+    } else if (!pending || !params.state || params.state !== pending.state) {
+      error = new AuthError(
+        'Sign-in could not be verified. Please try again.',
+        { body: params }
+      );
+    } else if (!params.code) {
+      error = new AuthError('Sign-in did not return an authorization code.', {
+        body: params
+      });
+    }
+    if (error) {
+      this.callbackFailed(error);
+      return Promise.resolve(null);
+    }
+
+    this.loading = true;
+    return this.restStore
+      .fetch('/api/auth/token', {
+        method: 'POST',
+        body: JSON.stringify({
+          code: params.code,
+          code_verifier: pending.verifier,
+          redirect_uri: pending.redirectURL,
+          nonce: pending.nonce
+        }),
+        skipRefresh: true,
+        schema: accountSchema
+      })
+      .then(account => {
+        debug(account);
+        this.loggedIn(account);
+        this.sessionStarted();
+        return { returnTo: pending.returnTo };
+      })
+      .catch(err => {
+        this.callbackFailed(err);
+        return null;
+      });
+  }
+
+  @action
+  callbackFailed (err) {
+    debug(err);
+    this.message = '';
+    this.error = err.message;
+    this.loading = false;
+    this.loginFailed = true;
+  }
+
   getLogoutURL (redirectURL, state) {
     debug('getLogoutURL(%s, %s)', redirectURL, state);
 
@@ -111,7 +330,11 @@ class AuthStore {
     );
   }
 
+  // Once a PolicyStore is attached it answers instead, with role hierarchies and sponsor-scoped
+  // permissions applied.
   hasRole (module, ...roles) {
+    if (this.policy) return this.policy.hasRole(module, ...roles);
+
     const moduleRoles = this.permissions.find(
       moduleRoles => moduleRoles.module === module
     );
@@ -121,40 +344,158 @@ class AuthStore {
   }
 
   @computed
-  get modules () {
-    return this.permissions.map(({ module }) => module);
+  get isImpersonating () {
+    return !!this.realUser;
   }
 
+  // Checked against the signed-in user, never the impersonated one.
+  @computed
+  get canImpersonate () {
+    return (
+      this.isLoggedIn &&
+      !this.isImpersonating &&
+      this.hasRole(IMPERSONATION_MODULE, IMPERSONATION_ROLE)
+    );
+  }
+
+  // Loads `username`'s account and sends every following request, uploads included, with an
+  // impersonation header until stopImpersonation().
   @action
-  authenticate () {
-    debug('authenticate()');
+  startImpersonation (username) {
+    debug('startImpersonation(%s)', username);
+
+    if (!this.canImpersonate) {
+      return Promise.reject(
+        new AuthError('You are not allowed to act as another user', {
+          status: 403
+        })
+      );
+    }
 
     this.loading = true;
     return this.restStore
-      .fetch(`/api/account`)
+      .fetch('/api/auth/impersonate', {
+        method: 'POST',
+        body: JSON.stringify({ username }),
+        offline: false,
+        schema: accountSchema
+      })
       .then(
         action(account => {
           debug(account);
-          this.username = account.username;
-          this.firstName = account.firstName;
-          this.lastName = account.lastName;
-          this.email = account.email;
-          this.phoneNumber = account.phoneNumber;
-          this.hasPassword = account.hasPassword;
-          this.permissions.replace(account.permissions);
-          this.sponsors = account.sponsors;
-          if (account.sponsor) {
-            this.sponsor = account.sponsor;
-          }
-          this.refreshed = Date.now();
-          this.isLoggedIn = true;
-          this.isLoggedOut = false;
-          this.loginFailed = false;
-          this.message = '';
+          this.realUser = {
+            username: this.username,
+            firstName: this.firstName,
+            lastName: this.lastName,
+            email: this.email,
+            phoneNumber: this.phoneNumber,
+            hasPassword: this.hasPassword,
+            permissions: this.permissions.slice(),
+            sponsors: this.sponsors.slice(),
+            sponsor: this.sponsor
+          };
+          this.stopImpersonationHeader = this.restStore.use({
+            request: request => ({
+              ...request,
+              headers: { ...request.headers, [IMPERSONATION_HEADER]: username }
+            })
+          });
+          this.restStore.invalidate();
+          // The impersonated user may have no sponsor of their own.
+          this.sponsor = '';
+          this.setAccount(account);
+          this.message = `You are now acting as ${username}.`;
           this.error = '';
           this.loading = false;
         })
       )
+      .catch(
+        action(err => {
+          debug(err);
+          this.error =
+            (err.body && err.body.error_description) ||
+            `Could not act as ${username}.`;
+          this.loading = false;
+          throw err;
+        })
+      );
+  }
+
+  @action
+  stopImpersonation () {
+    debug('stopImpersonation()');
+
+    if (!this.isImpersonating) return Promise.resolve();
+
+    const { username } = this;
+    const realUser = this.realUser;
+    this.endImpersonation();
+    this.sponsor = '';
+    this.setAccount(realUser);
+    this.message = `You are no longer acting as ${username}.`;
+
+    // Lets the server record the end of the impersonation; the local state is already restored.
+    return this.restStore
+      .fetch('/api/auth/impersonate', {
+        method: 'DELETE',
+        body: JSON.stringify({ username }),
+        offline: false
+      })
+      .catch(err => debug(err));
+  }
+
+  @action
+  endImpersonation () {
+    if (this.stopImpersonationHeader) {
+      this.stopImpersonationHeader();
+      this.stopImpersonationHeader = null;
+      this.restStore.invalidate();
+    }
+    this.realUser = null;
+  }
+
+  @computed
+  get modules () {
+    return this.permissions.map(({ module }) => module);
+  }
+
+  // Puts back the account from the last visit, unless the session has expired since, so the app
+  // can render as logged in while authenticate() confirms it. Resolves true when it did.
+  @action
+  restore () {
+    debug('restore()');
+
+    const { restStore } = this;
+    const expired =
+      !restStore.getLastRefresh() ||
+      restStore.getExpiry() < restStore.env.clock.now();
+    return (expired ? this.persistence.clear() : Promise.resolve())
+      .then(() => this.persistence.rehydrate())
+      .then(
+        action(restored => {
+          if (restored) {
+            this.isLoggedIn = true;
+            this.isLoggedOut = false;
+          }
+          return restored;
+        })
+      );
+  }
+
+  @action
+  authenticate () {
+    debug('authenticate()');
+
+    this.loading = true;
+    return this.restStore
+      .fetch(`/api/account`, {
+        cache: ACCOUNT_CACHE_TTL,
+        schema: accountSchema
+      })
+      .then(account => {
+        debug(account);
+        this.loggedIn(account);
+      })
       .catch(err => {
         debug(err);
         this.reset();
@@ -162,6 +503,7 @@ class AuthStore {
       });
   }
 
+  // ProfileStore offers field-level validation and optimistic updates on top of this.
   @action
   updateAccount (sponsor, updates) {
     debug('updateAccount(%s,%o)', sponsor, updates);
@@ -169,7 +511,13 @@ class AuthStore {
     return this.restStore
       .fetch(`/api/account`, {
         method: 'POST',
-        body: JSON.stringify(updates)
+        query: sponsor ? { sponsor } : undefined,
+        body: JSON.stringify(updates),
+        onQueued: action(() => {
+          this.error = '';
+          this.message =
+            'You are offline. Your changes will be saved when the connection returns.';
+        })
       })
       .then(
         action(async account => {
@@ -194,12 +542,13 @@ class AuthStore {
         action(err => {
           debug(err);
           this.message = '';
-          const match = /.*({.*})/.exec(err.message);
-          if (match) {
-            const doc = JSON.parse(match[1]);
-            this.error = doc.error_description;
+          if (err instanceof ConflictError) {
+            this.error =
+              'Your account was changed elsewhere. Please review it and try again.';
           } else {
-            this.error = 'Account update failed.';
+            this.error =
+              (err.body && err.body.error_description) ||
+              'Account update failed.';
           }
         })
       );
@@ -218,41 +567,166 @@ class AuthStore {
           username,
           password
         }),
+        skipRefresh: true,
+        schema: loginSchema
+      })
+      .then(account => {
+        debug(account);
+        if (account.challenge) {
+          this.challengeRequired(account.challenge);
+          return;
+        }
+        this.loggedIn(account);
+        this.sessionStarted();
+      })
+      .catch(err => this.loginRejected(err));
+  }
+
+  @action
+  challengeRequired (challenge) {
+    debug('challengeRequired(%o)', challenge);
+
+    this.loginStep = 'challenge';
+    this.challenge = challenge;
+    this.error = '';
+    this.message = '';
+    this.loading = false;
+  }
+
+  @action
+  submitChallenge (code, { rememberDevice = false } = {}) {
+    debug('submitChallenge(%s,%s)', code ? '<code>' : 'null', rememberDevice);
+
+    if (!this.challenge) {
+      return Promise.reject(new Error('No sign-in challenge is pending'));
+    }
+
+    this.loginStep = 'verifying';
+    this.loading = true;
+
+    return this.restStore
+      .fetch('/api/auth/mfa/verify', {
+        method: 'POST',
+        body: JSON.stringify({
+          token: this.challenge.token,
+          code,
+          rememberDevice
+        }),
+        skipRefresh: true,
+        schema: accountSchema
+      })
+      .then(account => {
+        debug(account);
+        this.loggedIn(account);
+        this.sessionStarted();
+      })
+      .catch(err => this.loginRejected(err));
+  }
+
+  // Only challenges that send a code (e.g. by email) can be resent; TOTP codes cannot.
+  @action
+  resendChallenge () {
+    debug('resendChallenge()');
+
+    if (!this.challenge) {
+      return Promise.reject(new Error('No sign-in challenge is pending'));
+    }
+
+    this.loading = true;
+    return this.restStore
+      .fetch('/api/auth/mfa/resend', {
+        method: 'POST',
+        body: JSON.stringify({ token: this.challenge.token }),
         skipRefresh: true
       })
       .then(
-        action(account => {
-          debug(account);
-          this.username = account.username;
-          this.firstName = account.firstName;
-          this.lastName = account.lastName;
-          this.email = account.email;
-          this.phoneNumber = account.phoneNumber;
-          this.hasPassword = account.hasPassword;
-          this.permissions.replace(account.permissions);
-          this.sponsors = account.sponsors;
-          if (account.sponsor) {
-            this.sponsor = account.sponsor;
-          }
-          this.refreshed = Date.now();
-          this.isLoggedIn = true;
-          this.isLoggedOut = false;
-          this.loginFailed = false;
+        action(({ challenge } = {}) => {
+          if (challenge) this.challenge = challenge;
           this.error = '';
-          this.message = '';
+          this.loginError = null;
+          this.message = 'A new code has been sent.';
           this.loading = false;
-          this.restStore.updateLastRefresh();
-          this.restStore.resetExpired();
         })
       )
-      .catch(
-        action(() => {
-          this.message = '';
-          this.error = 'Your username or password was entered incorrectly.';
-          this.loading = false;
-          this.loginFailed = true;
-        })
-      );
+      .catch(err => this.loginRejected(err, 'resend_failed'));
+  }
+
+  @action
+  cancelChallenge () {
+    this.loginStep = 'credentials';
+    this.challenge = null;
+    this.loginError = null;
+    this.error = '';
+    this.message = '';
+  }
+
+  // A wrong or expired code keeps the challenge open so the user can try again or resend, and so
+  // do network, server and resend failures. Anything else, a lockout included, sends them back
+  // to the credentials step.
+  @action
+  loginRejected (err, fallback) {
+    debug(err);
+
+    const code = loginErrorCode(err, fallback);
+    const transient = TRANSIENT_LOGIN_ERRORS.includes(code);
+    const retryable =
+      this.challenge &&
+      (transient || code === 'invalid_code' || code === 'code_expired');
+
+    this.message = '';
+    this.error = LOGIN_ERRORS[code];
+    this.loginError = code;
+    this.loading = false;
+    this.loginFailed = !transient;
+    if (retryable) {
+      this.loginStep = 'challenge';
+      if (err.body && err.body.attemptsRemaining !== undefined) {
+        this.challenge = {
+          ...this.challenge,
+          attemptsRemaining: err.body.attemptsRemaining
+        };
+      }
+    } else {
+      this.loginStep = 'credentials';
+      this.challenge = null;
+    }
+  }
+
+  @action
+  setAccount (account) {
+    this.username = account.username;
+    this.firstName = account.firstName;
+    this.lastName = account.lastName;
+    this.email = account.email;
+    this.phoneNumber = account.phoneNumber;
+    this.hasPassword = account.hasPassword;
+    this.permissions.replace(account.permissions);
+    this.sponsors = account.sponsors;
+    if (account.sponsor) {
+      this.sponsor = account.sponsor;
+    }
+    this.refreshed = Date.now();
+  }
+
+  @action
+  loggedIn (account) {
+    this.setAccount(account);
+    this.isLoggedIn = true;
+    this.isLoggedOut = false;
+    this.loginFailed = false;
+    this.loginStep = 'loggedIn';
+    this.challenge = null;
+    this.loginError = null;
+    this.error = '';
+    this.message = '';
+    this.loading = false;
+  }
+
+  // A login through this tab starts a fresh session on the server.
+  sessionStarted () {
+    this.restStore.updateLastRefresh();
+    this.restStore.resetExpired();
+    this.restStore.tabSync.broadcast('login');
   }
 
   @action
@@ -266,34 +740,36 @@ class AuthStore {
         method: 'POST',
         body: JSON.stringify({})
       })
-      .then(
-        action(() => {
-          this.reset();
-          this.message = 'You have successfully logged out.';
-          this.refreshed = Date.now();
-          this.restStore.clearTimeout();
-          this.restStore.clearLastRefresh();
-          this.isLoggedOut = true;
-          this.isLoggedIn = false;
-          this.loading = false;
-        })
-      )
-      .catch(
-        action(e => {
-          this.reset();
-          this.message =
-            e.status === 401 ? 'You have successfully logged out.' : '';
-          this.error = e.status === 401 ? '' : 'Logout attempt failed';
-          this.refreshed = Date.now();
-          this.restStore.clearTimeout();
-          this.restStore.clearLastRefresh();
-          this.isLoggedOut = true;
-          this.isLoggedIn = false;
-          this.loading = false;
-        })
-      );
+      .then(() => {
+        this.loggedOut('You have successfully logged out.');
+        this.restStore.tabSync.broadcast('logout');
+      })
+      .catch(e => {
+        if (e.status === 401) {
+          this.loggedOut('You have successfully logged out.');
+        } else this.loggedOut('', 'Logout attempt failed');
+        this.restStore.tabSync.broadcast('logout');
+      });
+  }
+
+  @action
+  loggedOut (message, error = '') {
+    this.reset();
+    this.restStore.invalidate();
+    this.message = message;
+    this.error = error;
+    this.refreshed = Date.now();
+    this.restStore.clearTimeout();
+    this.restStore.clearLastRefresh();
+    // Changes the user queued offline must not replay into the next user's session.
+    if (this.restStore.offlineQueue) this.restStore.offlineQueue.clear();
+    this.isLoggedOut = true;
+    this.isLoggedIn = false;
+    this.loading = false;
   }
 
+  // Kept for existing screens; PasswordStore.requestReset() also reports field errors. Resolves
+  // true once the email is on its way, or false with `error` set.
   @action
   forgotPassword (username) {
     debug('forgotPassword(%s)', username);
@@ -301,9 +777,26 @@ class AuthStore {
     return this.restStore
       .fetch(`/api/account/resend`, {
         method: 'POST',
-        body: JSON.stringify({ username })
+        body: JSON.stringify({ username }),
+        skipRefresh: true
       })
-      .catch(() => undefined);
+      .then(
+        action(() => {
+          this.error = '';
+          this.message = 'Check your email for a link to reset your password.';
+          return true;
+        })
+      )
+      .catch(
+        action(err => {
+          this.message = '';
+          this.error = passwordErrorMessage(
+            err,
+            'We could not send a password reset email. Please try again.'
+          );
+          return false;
+        })
+      );
   }
 }
 
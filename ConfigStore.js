@@ -1,32 +1,258 @@
-import { observable, action, computed } from 'mobx';
+import { observable, action, computed, reaction } from 'mobx';
+import Persistence from './Persistence';
+import { configSchema } from './schemas';
 
 const debug = require('debug')('model.ConfigStore');
 
-export default class ConfigStore {
-  @observable initialized = false;
-  @observable baseHost = '';
-  @observable ssoMethod = 'direct';
-  @observable ssoHost = '';
-  @observable ssoId = '';
-  @observable siteUrl = '';
-  @observable siteName = '';
-  @observable siteSupport = {
+const CONFIG_CACHE_TTL = 300000;
+
+const DEFAULT_PASSWORD_POLICY = {
+  minLength: 8,
+  maxLength: 0,
+  requireUppercase: false,
+  requireLowercase: false,
+  requireDigit: false,
+  requireSymbol: false,
+  disallowUsername: false,
+};
+
+const DEFAULTS = {
+  baseHost: '',
+  ssoMethod: 'direct',
+  ssoHost: '',
+  ssoId: '',
+  siteUrl: '',
+  siteName: '',
+  siteSupport: {
     email: '',
     phoneNumber: '',
     url: '',
     notes: '',
-  };
-  @observable multiSponsor = false;
-  @observable sponsor = '';
-  @observable sponsors = [];
-  @observable cloudName = '';
+  },
+  multiSponsor: false,
+  sponsor: '',
+  sponsors: [],
+  cloudName: '',
+  // Session timeouts in seconds; 0 keeps RESTStore's defaults.
+  sessionTimeout: 0,
+  accessTimeout: 0,
+  sessionWarning: 0,
+  passwordPolicy: DEFAULT_PASSWORD_POLICY,
+  // Feature flag definitions, read by FeatureFlagStore.
+  features: {},
+};
+
+// Payload keys of /api/configs, and of each entry in its SPONSOR_CONFIGS, by field.
+const SERVER_KEYS = {
+  BASE_HOST: 'baseHost',
+  SSO_METHOD: 'ssoMethod',
+  SSO_HOST: 'ssoHost',
+  SSO_CLIENT: 'ssoId',
+  CLOUDINARY_CLOUD_NAME: 'cloudName',
+  SITE: 'siteUrl',
+  SITE_NAME: 'siteName',
+  SITE_SUPPORT: 'siteSupport',
+  MULTISPONSOR: 'multiSponsor',
+  SPONSOR: 'sponsor',
+  SESSION_TIMEOUT: 'sessionTimeout',
+  ACCESS_TIMEOUT: 'accessTimeout',
+  SESSION_WARNING: 'sessionWarning',
+  PASSWORD_POLICY: 'passwordPolicy',
+  FEATURES: 'features',
+};
+
+// Lowest first; each layer only holds the values it sets.
+const LAYERS = ['defaults', 'server', 'sponsor', 'local'];
+
+const OVERRIDES_KEY = 'config.overrides';
+
+// Anyone who can write localStorage could otherwise send logins to another SSO host, so
+// production builds only honour local overrides of fields that cannot redirect anything.
+const PRODUCTION =
+  typeof process !== 'undefined' && process.env.NODE_ENV === 'production';
+const SAFE_OVERRIDES = ['features', 'sessionWarning'];
+
+const allowedOverrides = (overrides) =>
+  PRODUCTION
+    ? SAFE_OVERRIDES.filter((field) => overrides[field] !== undefined).reduce(
+        (allowed, field) => ({ ...allowed, [field]: overrides[field] }),
+        {}
+      )
+    : overrides;
+
+const fromPayload = (payload) =>
+  Object.keys(SERVER_KEYS)
+    .filter((key) => payload[key] !== undefined && payload[key] !== null)
+    .reduce(
+      (values, key) => ({ ...values, [SERVER_KEYS[key]]: payload[key] }),
+      {}
+    );
+
+const isPlainObject = (value) =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+
+// Configuration comes in layers: built-in defaults, then /api/configs, then the overrides for the
+// selected sponsor, then a developer's local overrides. Every field below resolves through them
+// as the layers and the selected sponsor change; objects such as `siteSupport` merge key by key,
+// so a sponsor can override only its support email. sourceOf() tells which layer won.
+export default class ConfigStore {
+  @observable initialized = false;
+  @observable.ref serverValues = {};
+  // Keyed by sponsor id.
+  @observable.ref sponsorValues = {};
+  @observable.ref localOverrides = {};
 
   restStore = null;
+  // Set by SponsorStore, whose selection picks the sponsor layer.
+  sponsorStore = null;
 
   constructor(restStore) {
     debug('constructor(%o)', restStore);
 
     this.restStore = restStore;
+    this.persistence = new Persistence(this, {
+      key: 'config',
+      env: restStore.env,
+      fields: ['serverValues', 'sponsorValues'],
+      version: 2,
+      migrations: {
+        // Version 1 kept the resolved fields themselves.
+        2: (fields) => ({ serverValues: fields, sponsorValues: {} }),
+      },
+      when: () => this.initialized,
+    });
+    this.loadOverrides();
+
+    // Whichever layer the timeouts come from, and whenever it changes.
+    this.disposers = [
+      reaction(
+        () =>
+          this.initialized &&
+          [this.sessionTimeout, this.accessTimeout, this.sessionWarning].join(),
+        (timeouts) => timeouts && this.configureSession()
+      ),
+    ];
+  }
+
+  @computed
+  get selectedSponsorId() {
+    const selected = this.sponsorStore && this.sponsorStore.selectedSponsor;
+    return selected ? selected.id : null;
+  }
+
+  @computed
+  get layers() {
+    return {
+      defaults: DEFAULTS,
+      server: this.serverValues,
+      sponsor: this.sponsorValues[this.selectedSponsorId] || {},
+      local: allowedOverrides(this.localOverrides),
+    };
+  }
+
+  // `{ field: { value, source } }` for every field.
+  @computed
+  get resolved() {
+    return Object.keys(DEFAULTS).reduce((resolved, field) => {
+      const setBy = LAYERS.filter(
+        (layer) => this.layers[layer][field] !== undefined
+      );
+      const value = isPlainObject(DEFAULTS[field])
+        ? setBy.reduce(
+            (merged, layer) => ({ ...merged, ...this.layers[layer][field] }),
+            {}
+          )
+        : this.layers[setBy[setBy.length - 1]][field];
+      return {
+        ...resolved,
+        [field]: { value, source: setBy[setBy.length - 1] },
+      };
+    }, {});
+  }
+
+  // defaults | server | sponsor | local
+  sourceOf(field) {
+    return this.resolved[field] ? this.resolved[field].source : undefined;
+  }
+
+  @computed
+  get baseHost() {
+    return this.resolved.baseHost.value;
+  }
+
+  @computed
+  get ssoMethod() {
+    return this.resolved.ssoMethod.value;
+  }
+
+  @computed
+  get ssoHost() {
+    return this.resolved.ssoHost.value;
+  }
+
+  @computed
+  get ssoId() {
+    return this.resolved.ssoId.value;
+  }
+
+  @computed
+  get siteUrl() {
+    return this.resolved.siteUrl.value;
+  }
+
+  @computed
+  get siteName() {
+    return this.resolved.siteName.value;
+  }
+
+  @computed
+  get siteSupport() {
+    return this.resolved.siteSupport.value;
+  }
+
+  @computed
+  get multiSponsor() {
+    return this.resolved.multiSponsor.value;
+  }
+
+  @computed
+  get sponsor() {
+    return this.resolved.sponsor.value;
+  }
+
+  @computed
+  get sponsors() {
+    return this.resolved.sponsors.value;
+  }
+
+  @computed
+  get cloudName() {
+    return this.resolved.cloudName.value;
+  }
+
+  @computed
+  get sessionTimeout() {
+    return this.resolved.sessionTimeout.value;
+  }
+
+  @computed
+  get accessTimeout() {
+    return this.resolved.accessTimeout.value;
+  }
+
+  @computed
+  get sessionWarning() {
+    return this.resolved.sessionWarning.value;
+  }
+
+  @computed
+  get passwordPolicy() {
+    return this.resolved.passwordPolicy.value;
+  }
+
+  @computed
+  get features() {
+    return this.resolved.features.value;
   }
 
   @computed
@@ -43,64 +269,127 @@ export default class ConfigStore {
       : '';
   }
 
+  // Puts back the config from the last visit so the app can render before init() answers.
+  // Resolves true when there was one.
+  @action
+  restore() {
+    return this.persistence.rehydrate().then(
+      action((restored) => {
+        if (restored) this.initialized = true;
+        return restored;
+      })
+    );
+  }
+
+  configureSession() {
+    this.restStore.configure({
+      refreshTimeout: this.sessionTimeout * 1000,
+      accessTimeout: this.accessTimeout * 1000,
+      warningThreshold: this.sessionWarning * 1000,
+    });
+  }
+
   @action
   init() {
-    return this.restStore.fetch('/api/configs', { skipRefresh: true }).then(
-      action(
-        ({
-          BASE_HOST,
-          SSO_METHOD,
-          SSO_HOST,
-          SSO_CLIENT,
-          CLOUDINARY_CLOUD_NAME,
-          SITE,
-          SITE_NAME,
-          SITE_SUPPORT,
-          MULTISPONSOR,
-          SPONSOR = '',
-          SPONSORS = [],
-        }) => {
-          this.baseHost = BASE_HOST;
-          this.ssoMethod = SSO_METHOD;
-          this.ssoHost = SSO_HOST;
-          this.ssoId = SSO_CLIENT;
-          this.cloudName = CLOUDINARY_CLOUD_NAME;
-          this.siteUrl = SITE;
-          this.siteName = SITE_NAME;
-          this.siteSupport = SITE_SUPPORT;
-          this.multiSponsor = MULTISPONSOR;
-          this.sponsor = SPONSOR;
-          this.sponsors = SPONSORS.length
-            ? SPONSORS.map(({ URL, NAME }) => ({
-                id: URL.substr(URL.lastIndexOf('/') + 1),
-                url: URL,
-                name: NAME,
-              }))
-            : [
-                {
-                  id: SPONSOR.substr(SPONSOR.lastIndexOf('/') + 1),
-                  name: SITE_NAME,
-                },
-              ];
+    return this.restStore
+      .fetch('/api/configs', {
+        skipRefresh: true,
+        cache: CONFIG_CACHE_TTL,
+        schema: configSchema,
+      })
+      .then(
+        action((payload) => {
+          const {
+            SITE_NAME,
+            SPONSOR = '',
+            SPONSORS = [],
+            SPONSOR_CONFIGS = {},
+          } = payload;
+          this.serverValues = {
+            ...fromPayload(payload),
+            sponsors: SPONSORS.length
+              ? SPONSORS.map(({ URL, NAME }) => ({
+                  id: URL.substr(URL.lastIndexOf('/') + 1),
+                  url: URL,
+                  name: NAME,
+                }))
+              : [
+                  {
+                    id: SPONSOR.substr(SPONSOR.lastIndexOf('/') + 1),
+                    name: SITE_NAME,
+                  },
+                ],
+          };
+          this.sponsorValues = Object.keys(SPONSOR_CONFIGS).reduce(
+            (values, id) => ({
+              ...values,
+              [id]: fromPayload(SPONSOR_CONFIGS[id] || {}),
+            }),
+            {}
+          );
           this.initialized = true;
-        }
-      )
-    );
+        })
+      );
+  }
+
+  // For a sponsor's settings that do not come from /api/configs.
+  @action
+  setSponsorOverrides(sponsorId, values) {
+    this.sponsorValues = {
+      ...this.sponsorValues,
+      [sponsorId]: { ...this.sponsorValues[sponsorId], ...values },
+    };
+  }
+
+  // Local overrides live in localStorage, so a developer can point one browser at another SSO
+  // host or try a feature without touching the server. `undefined` removes one. Production
+  // builds ignore all but SAFE_OVERRIDES.
+  @action
+  setOverride(field, value) {
+    const overrides = { ...this.localOverrides, [field]: value };
+    if (value === undefined) delete overrides[field];
+    this.localOverrides = overrides;
+    this.saveOverrides();
+  }
+
+  @action
+  clearOverrides() {
+    this.localOverrides = {};
+    this.saveOverrides();
+  }
+
+  @action
+  loadOverrides() {
+    try {
+      this.localOverrides =
+        JSON.parse(this.restStore.env.localStorage.getItem(OVERRIDES_KEY)) ||
+        {};
+    } catch (e) {
+      debug('loadOverrides() failed: %o', e);
+    }
+  }
+
+  saveOverrides() {
+    const { localStorage } = this.restStore.env;
+    if (Object.keys(this.localOverrides).length) {
+      localStorage.setItem(OVERRIDES_KEY, JSON.stringify(this.localOverrides));
+    } else {
+      localStorage.removeItem(OVERRIDES_KEY);
+    }
+  }
+
+  dispose() {
+    this.disposers.forEach((dispose) => dispose());
+    this.disposers = [];
+    this.persistence.dispose();
   }
 
+  // Local overrides survive; they belong to the developer, not the session.
   @action
   destroy() {
     this.initialized = false;
-    this.baseHost = '';
-    this.ssoMethod = 'direct';
-    this.ssoHost = '';
-    this.ssoId = '';
-    this.cloudName = '';
-    this.siteUrl = '';
-    this.siteName = '';
-    this.siteSupport = { email: '', phoneNumber: '', url: '', notes: '' };
-    this.multiSponsor = false;
-    this.sponsor = '';
-    this.sponsors = [];
+    this.serverValues = {};
+    this.sponsorValues = {};
+    this.persistence.clear();
   }
 }
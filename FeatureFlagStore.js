@@ -0,0 +1,290 @@
+import { observable, computed, action, reaction } from 'mobx';
+import Persistence from './Persistence';
+import { featuresSchema, translationSchema } from './schemas';
+
+const debug = require('debug')('model.FeatureFlagStore');
+
+const FLAG_CACHE_TTL = 300000;
+
+// Where flag definitions come from, besides ConfigStore's `features`. Each source loads
+// `{ [flag]: definition }`; later sources win over earlier ones and over ConfigStore. A source
+// that fails keeps what it loaded last.
+//
+// Not every server has /api/features yet, so this one is opt-in:
+// `sources: [featuresEndpoint, translationEndpoint]`.
+export const featuresEndpoint = {
+  name: 'features',
+  load: restStore =>
+    restStore
+      .fetch('/api/features', {
+        cache: FLAG_CACHE_TTL,
+        silent: true,
+        schema: featuresSchema
+      })
+      .then(({ flags }) => flags)
+};
+
+// Translation predates /api/features and still has its own endpoint. Multi-sponsor sites list
+// the sponsors under `adminSpecificSponsors` and enable it in the All Sponsors view.
+export const translationEndpoint = {
+  name: 'translation',
+  load: (restStore, { configStore }) =>
+    restStore
+      .fetch('/api/auth/enableTranslation', {
+        cache: FLAG_CACHE_TTL,
+        silent: true,
+        schema: translationSchema
+      })
+      .then(({ specificSponsors, adminSpecificSponsors }) => ({
+        translation: configStore.multiSponsor
+          ? { sponsors: adminSpecificSponsors, allSponsors: true }
+          : { sponsors: specificSponsors }
+      }))
+};
+
+const ENVIRONMENT =
+  typeof process !== 'undefined' && process.env.NODE_ENV === 'production'
+    ? 'production'
+    : 'development';
+
+// A definition is true/false, or an object whose conditions must all hold:
+//   enabled       false turns the flag off everywhere (default true)
+//   environments  e.g. ['development']
+//   roles         `{ module, roles }`; the user needs one of the roles, see AuthStore.hasRole()
+//   sponsors      sponsor ids it is enabled for
+//   sponsorTypes  ['community'] and/or ['enterprise']
+//   allSponsors   with sponsors or sponsorTypes, whether it is on in the All Sponsors view
+// Returns `{ enabled, reason }`.
+const evaluate = (definition, context, authStore) => {
+  if (typeof definition === 'boolean') {
+    return { enabled: definition, reason: `Set to ${definition}` };
+  }
+
+  const {
+    enabled = true,
+    environments,
+    roles,
+    sponsors,
+    sponsorTypes,
+    allSponsors = false
+  } = definition;
+  if (!enabled) return { enabled: false, reason: 'Disabled' };
+  if (environments && !environments.includes(context.environment)) {
+    return { enabled: false, reason: `Not enabled in ${context.environment}` };
+  }
+  if (roles && !authStore.hasRole(roles.module, ...roles.roles)) {
+    return {
+      enabled: false,
+      reason: `Needs one of ${roles.roles.join(', ')} in ${roles.module}`
+    };
+  }
+  if ((sponsors || sponsorTypes) && context.allSponsors) {
+    return {
+      enabled: allSponsors,
+      reason: `${allSponsors ? 'Enabled' : 'Not enabled'} for All Sponsors`
+    };
+  }
+  if (sponsors && !sponsors.includes(context.sponsorId)) {
+    return { enabled: false, reason: `Not enabled for ${context.sponsorId}` };
+  }
+  if (sponsorTypes && !sponsorTypes.includes(context.sponsorType)) {
+    return {
+      enabled: false,
+      reason: `Not enabled for ${context.sponsorType || 'this'} sponsors`
+    };
+  }
+  return { enabled: true, reason: 'All conditions met' };
+};
+
+// Feature flags, evaluated against the selected sponsor, the user's roles and the environment.
+// Definitions come from `defaults`, then ConfigStore's `features` (the FEATURES of /api/configs
+// and of the selected sponsor), then the sources, which reload whenever the login or the sponsor
+// changes. Until they load, and when the backend cannot be reached, the last loaded definitions
+// apply. QA can force a flag on or off in this browser with setOverride(), which is stored as
+// ConfigStore's local `features` override.
+export default class FeatureFlagStore {
+  @observable.ref loaded = {};
+  @observable loading = false;
+  @observable error = null;
+
+  constructor (
+    restStore,
+    configStore,
+    authStore,
+    sponsorStore,
+    {
+      defaults = {},
+      sources = [translationEndpoint],
+      environment = ENVIRONMENT
+    } = {}
+  ) {
+    debug('constructor()');
+
+    this.restStore = restStore;
+    this.configStore = configStore;
+    this.authStore = authStore;
+    this.sponsorStore = sponsorStore;
+    this.defaults = defaults;
+    this.sources = sources;
+    this.environment = environment;
+    // SponsorStore.isTranslationEnabled reads the `translation` flag from here.
+    sponsorStore.featureFlags = this;
+
+    this.persistence = new Persistence(this, {
+      key: 'features',
+      env: restStore.env,
+      fields: ['loaded'],
+      version: 1,
+      when: () => authStore.isLoggedIn
+    });
+
+    this.disposers = [
+      reaction(
+        () => this.scope,
+        () => (authStore.isLoggedIn ? this.refresh() : this.clear())
+      )
+    ];
+    if (authStore.isLoggedIn) this.refresh();
+  }
+
+  // Changes on login, logout and sponsor switches, when the definitions may differ.
+  @computed
+  get scope () {
+    const selected = this.sponsorStore.selectedSponsor;
+    const sponsor = selected ? selected.id : this.configStore.sponsor;
+    return `${this.authStore.isLoggedIn}:${sponsor}`;
+  }
+
+  @computed
+  get context () {
+    const { sponsor, multiSponsor, global, hasSponsor } = this.sponsorStore;
+    return {
+      environment: this.environment,
+      sponsorId: sponsor.id || null,
+      sponsorType: sponsor.id
+        ? sponsor.isCommunity
+          ? 'community'
+          : 'enterprise'
+        : null,
+      allSponsors: !!(multiSponsor && global && !hasSponsor)
+    };
+  }
+
+  @computed
+  get definitions () {
+    return this.sources.reduce(
+      (definitions, { name }) => ({ ...definitions, ...this.loaded[name] }),
+      { ...this.defaults, ...this.configStore.features }
+    );
+  }
+
+  @computed
+  get overrides () {
+    return this.configStore.localOverrides.features || {};
+  }
+
+  // `{ name, enabled, source, reason }` for every known flag, for the QA panel.
+  @computed
+  get flags () {
+    const names = Object.keys({ ...this.definitions, ...this.overrides });
+    return names.sort().map(name => this.explain(name));
+  }
+
+  isEnabled (name) {
+    return this.explain(name).enabled;
+  }
+
+  // source is override | server | config | default | unknown.
+  explain (name) {
+    if (this.overrides[name] !== undefined) {
+      return {
+        name,
+        enabled: this.overrides[name],
+        source: 'override',
+        reason: 'Overridden locally'
+      };
+    }
+    const definition = this.definitions[name];
+    if (definition === undefined) {
+      return { name, enabled: false, source: 'unknown', reason: 'Not defined' };
+    }
+    const loaded = this.sources.some(
+      ({ name: source }) => (this.loaded[source] || {})[name] !== undefined
+    );
+    let source = 'default';
+    if (loaded) source = 'server';
+    else if (this.configStore.features[name] !== undefined) source = 'config';
+    return {
+      name,
+      source,
+      ...evaluate(definition, this.context, this.authStore)
+    };
+  }
+
+  // Call after authStore.restore(), like SponsorStore.restore().
+  @action
+  restore () {
+    return (this.authStore.isLoggedIn
+      ? Promise.resolve()
+      : this.persistence.clear()
+    ).then(() => this.persistence.rehydrate());
+  }
+
+  @action
+  refresh () {
+    debug('refresh()');
+
+    this.loading = true;
+    return Promise.all(
+      this.sources.map(source =>
+        source
+          .load(this.restStore, this)
+          .then(definitions => ({ name: source.name, definitions }))
+          .catch(error => {
+            debug('loading %s failed: %o', source.name, error);
+            return { name: source.name, error };
+          })
+      )
+    ).then(
+      action(results => {
+        this.loaded = results.reduce(
+          (loaded, { name, definitions }) =>
+            definitions ? { ...loaded, [name]: definitions } : loaded,
+          this.loaded
+        );
+        const failed = results.find(({ error }) => error);
+        this.error = failed ? failed.error : null;
+        this.loading = false;
+      })
+    );
+  }
+
+  @action
+  clear () {
+    this.loaded = {};
+    this.error = null;
+    this.persistence.clear();
+  }
+
+  // `undefined` removes the override.
+  @action
+  setOverride (name, enabled) {
+    const overrides = { ...this.overrides, [name]: enabled };
+    if (enabled === undefined) delete overrides[name];
+    this.configStore.setOverride(
+      'features',
+      Object.keys(overrides).length ? overrides : undefined
+    );
+  }
+
+  @action
+  clearOverrides () {
+    this.configStore.setOverride('features', undefined);
+  }
+
+  dispose () {
+    this.disposers.forEach(dispose => dispose());
+    this.disposers = [];
+    this.persistence.dispose();
+  }
+}
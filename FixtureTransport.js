@@ -0,0 +1,301 @@
+import qs from 'qs';
+
+const debug = require('debug')('model.FixtureTransport');
+
+// Routes that answer without a session, like their real counterparts.
+const PUBLIC_ROUTES = [
+  /^\/api\/configs/,
+  /^\/api\/auth\/(login|token|mfa\/)/,
+  /^\/api\/account\/(resend|reset)/
+];
+
+// A successful answer from one of these starts a session, unless it asks for a second factor.
+const SESSION_ROUTES = [
+  /^\/api\/auth\/login$/,
+  /^\/api\/auth\/token$/,
+  /^\/api\/auth\/mfa\/verify$/
+];
+
+const REPLY = '@@fixtures/reply';
+
+// Returned from a handler to answer with a specific status or headers.
+export const reply = (status, body, headers = {}) => ({
+  [REPLY]: true,
+  status,
+  body,
+  headers
+});
+
+// Just enough of the fetch Response for RESTStore and the stores. Bodies are copied, so a store
+// can never change a fixture.
+export const createResponse = (status, body, headers = {}) => {
+  const lowerCased = Object.keys(headers).reduce(
+    (all, name) => ({ ...all, [name.toLowerCase()]: String(headers[name]) }),
+    {}
+  );
+  const text =
+    body === undefined || typeof body === 'string'
+      ? body || ''
+      : JSON.stringify(body);
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: name => lowerCased[name.toLowerCase()] || null },
+    text: () => Promise.resolve(text),
+    json: () => Promise.resolve().then(() => JSON.parse(text || '{}'))
+  };
+};
+
+const errorBody = (status, error) => ({
+  error,
+  error_description: `Simulated ${status} response`
+});
+
+const parseRequest = (url, init = {}) => {
+  const [location, query = ''] = url.split('?');
+  const path = location.replace(/^[a-z]+:\/\/[^/]+/i, '');
+  let body = init.body;
+  try {
+    body = typeof body === 'string' ? JSON.parse(body) : body;
+  } catch (e) {
+    // Not JSON; handlers get it as it was sent.
+  }
+  return {
+    method: (init.method || 'GET').toUpperCase(),
+    url,
+    path,
+    query: qs.parse(query),
+    headers: init.headers || {},
+    body,
+    params: {}
+  };
+};
+
+// `'GET /api/sponsors/:id'` matches GETs to that path; without a method, any method matches.
+const compileRoute = key => {
+  const [method, path] = key.includes(' ') ? key.split(' ') : [null, key];
+  const names = [];
+  const pattern = new RegExp(
+    `^${path.replace(/:(\w+)/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    })}$`
+  );
+  return {
+    key,
+    match: ({ method: requestMethod, path: requestPath }) => {
+      if (method && method.toUpperCase() !== requestMethod) return null;
+      const found = pattern.exec(requestPath);
+      if (!found) return null;
+      return names.reduce(
+        (params, name, i) => ({
+          ...params,
+          [name]: decodeURIComponent(found[i + 1])
+        }),
+        {}
+      );
+    }
+  };
+};
+
+const realClock = {
+  now: () => Date.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms)
+};
+
+// A stand-in for the backend. Hand `transport.fetch` to RESTStore.setTransport() or to the test
+// environment, and requests are answered from `routes` instead of the network.
+//
+// Routes map `'METHOD /path/:param'` to a body (e.g. a JSON fixture), or to a handler called
+// with `{ method, path, query, params, headers, body }` that returns a body, a reply() or a
+// promise of either. Unknown routes answer 404.
+//
+// The transport also keeps a pretend server session: logging in starts it, /api/auth/refresh
+// extends it by `sessionTimeout` ms (0 never expires), /api/auth/logout ends it, and any
+// non-public request outside a session answers 401.
+export default class FixtureTransport {
+  routes = [];
+  failures = [];
+  requests = [];
+  session = null;
+  // Answers requests no route matches, instead of a 404.
+  fallback = null;
+
+  constructor ({
+    routes = {},
+    latency = 0,
+    sessionTimeout = 0,
+    requireSession = true,
+    publicRoutes = PUBLIC_ROUTES,
+    clock = realClock
+  } = {}) {
+    debug('constructor()');
+
+    this.latency = latency;
+    this.sessionTimeout = sessionTimeout;
+    this.requireSession = requireSession;
+    this.publicRoutes = publicRoutes;
+    this.clock = clock;
+    this.define(routes);
+  }
+
+  // Later definitions win over earlier ones for the same request.
+  define (routes) {
+    Object.keys(routes).forEach(key => this.route(key, routes[key]));
+    return this;
+  }
+
+  route (key, handler) {
+    this.routes.unshift({ ...compileRoute(key), handler });
+    return this;
+  }
+
+  // Makes the next `times` requests matching `key` fail. `error` is a status code, or 'network'
+  // to reject the way fetch does when the network is down.
+  fail (key, error = 500, { times = 1, body } = {}) {
+    this.failures.push({ ...compileRoute(key), error, times, body });
+    return this;
+  }
+
+  startSession () {
+    this.session = {
+      expiresAt: this.sessionTimeout
+        ? this.clock.now() + this.sessionTimeout
+        : Infinity
+    };
+  }
+
+  // The next refresh fails, as if the session timed out on the server.
+  expireSession () {
+    debug('expireSession()');
+    this.session = null;
+  }
+
+  get hasSession () {
+    return !!this.session && this.session.expiresAt > this.clock.now();
+  }
+
+  fetch = (url, init = {}) => {
+    const request = parseRequest(url, init);
+    this.requests.push(request);
+    debug('%s %s', request.method, request.path);
+
+    return this.wait().then(() => this.answer(request));
+  };
+
+  wait () {
+    const ms = Array.isArray(this.latency)
+      ? this.latency[0] + Math.random() * (this.latency[1] - this.latency[0])
+      : this.latency;
+    if (!ms) return Promise.resolve();
+    return new Promise(resolve => this.clock.setTimeout(resolve, ms));
+  }
+
+  async answer (request) {
+    const failure = this.failures.find(({ match }) => match(request));
+    if (failure) {
+      failure.times -= 1;
+      if (failure.times <= 0) {
+        this.failures.splice(this.failures.indexOf(failure), 1);
+      }
+      if (failure.error === 'network') throw new TypeError('Failed to fetch');
+      return createResponse(
+        failure.error,
+        failure.body || errorBody(failure.error, 'simulated_error')
+      );
+    }
+
+    const route = this.routes.find(({ match }) => match(request));
+    const handler = route ? route.handler : this.fallback;
+    if (!handler && request.path === '/api/auth/refresh') {
+      if (!this.hasSession) {
+        return createResponse(401, errorBody(401, 'session_expired'));
+      }
+      this.startSession();
+      return createResponse(200, {});
+    }
+    if (!handler && request.path === '/api/auth/logout') {
+      this.session = null;
+      return createResponse(200, {});
+    }
+
+    const isPublic = this.publicRoutes.some(pattern =>
+      pattern.test(request.path)
+    );
+    if (this.requireSession && !isPublic && !this.hasSession) {
+      return createResponse(401, errorBody(401, 'unauthorized'));
+    }
+    if (!handler) return createResponse(404, errorBody(404, 'not_found'));
+
+    request.params = route ? route.match(request) : {};
+    const result =
+      typeof handler === 'function' ? await handler(request) : handler;
+    const { status, body, headers } =
+      result && result[REPLY] ? result : reply(200, result);
+
+    if (
+      status >= 200 &&
+      status < 300 &&
+      SESSION_ROUTES.some(pattern => pattern.test(request.path)) &&
+      !(body && body.challenge)
+    ) {
+      this.startSession();
+    }
+    return createResponse(status, body, headers);
+  }
+
+  // Serves a recording made with recordTransport(). Requests are matched on method and URL; when
+  // the same request was recorded more than once, the answers are replayed in order and the
+  // last one repeats.
+  static replay (entries, options = {}) {
+    const transport = new FixtureTransport({
+      requireSession: false,
+      ...options
+    });
+    const queues = entries.reduce((all, entry) => {
+      const key = `${entry.method} ${entry.url}`;
+      return { ...all, [key]: [...(all[key] || []), entry] };
+    }, {});
+
+    transport.fallback = ({ method, url }) => {
+      const queue = queues[`${method} ${url}`];
+      if (!queue) return reply(404, errorBody(404, 'not_recorded'));
+      const entry = queue.length > 1 ? queue.shift() : queue[0];
+      return reply(entry.status, entry.body, entry.headers);
+    };
+    return transport;
+  }
+}
+
+// Wraps a real fetch and records every exchange, for FixtureTransport.replay(). `entries` is
+// plain JSON, so a recorded session can be saved as a fixture file.
+export const recordTransport = (fetch = (...args) => window.fetch(...args)) => {
+  const entries = [];
+  return {
+    entries,
+    fetch: (url, init = {}) =>
+      fetch(url, init).then(async response => {
+        const text = await response.clone().text();
+        let body = text;
+        try {
+          body = JSON.parse(text);
+        } catch (e) {
+          // Kept as text.
+        }
+        const headers = {};
+        if (response.headers.forEach) {
+          response.headers.forEach((value, name) => {
+            headers[name] = value;
+          });
+        }
+        entries.push({
+          method: (init.method || 'GET').toUpperCase(),
+          url,
+          status: response.status,
+          headers,
+          body
+        });
+        return response;
+      })
+  };
+};
@@ -0,0 +1,71 @@
+const debug = require('debug')('model.Interceptors');
+
+const RESPONSE = '@@interceptors/response';
+
+// Returned from a `request` interceptor to answer the call without hitting the network, or from
+// an `error` interceptor to resolve the call with a value instead of rejecting.
+export const respondWith = data => ({ [RESPONSE]: true, data });
+
+const isResponse = value => !!value && value[RESPONSE] === true;
+
+// Interceptors are objects with any of these optional hooks, run in registration order:
+//   request(request)        -> the (possibly rewritten) request, or respondWith(data)
+//   response(data, request) -> the (possibly transformed) data
+//   error(error, request)   -> a replacement error, or respondWith(data) to recover
+// Returning undefined from any hook leaves the value untouched. Hooks may be async.
+export default class Interceptors {
+  handlers = [];
+
+  use (interceptor) {
+    debug('use(%o)', interceptor);
+    this.handlers.push(interceptor);
+    return () => {
+      this.handlers = this.handlers.filter(handler => handler !== interceptor);
+    };
+  }
+
+  async run (request, send) {
+    const handlers = this.handlers.slice();
+
+    try {
+      for (const { request: intercept } of handlers) {
+        if (!intercept) continue;
+        const result = await intercept(request);
+        if (isResponse(result)) {
+          debug('request to %s answered by an interceptor', request.url);
+          return this.respond(handlers, result.data, request);
+        }
+        if (result) request = result;
+      }
+    } catch (err) {
+      return this.fail(handlers, err, request);
+    }
+
+    let data;
+    try {
+      data = await send(request);
+    } catch (err) {
+      return this.fail(handlers, err, request);
+    }
+    return this.respond(handlers, data, request);
+  }
+
+  async respond (handlers, data, request) {
+    for (const { response } of handlers) {
+      if (!response) continue;
+      const result = await response(data, request);
+      if (result !== undefined) data = result;
+    }
+    return data;
+  }
+
+  async fail (handlers, err, request) {
+    for (const { error } of handlers) {
+      if (!error) continue;
+      const result = await error(err, request);
+      if (isResponse(result)) return result.data;
+      if (result !== undefined) err = result;
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,294 @@
+import { observable, action, computed, reaction } from 'mobx';
+import { CancelError, ConflictError, NetworkError } from './errors';
+import { describeRequest } from './requestHelpers';
+import { listen } from './environment';
+
+const debug = require('debug')('model.OfflineQueue');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// How long to wait before replaying again when a request failed on the network while the
+// browser still reported itself online (so no `online` event is coming).
+const RETRY_INTERVAL = 30000;
+
+const DEFAULT_OPTIONS = {
+  storage: null,
+  // Suffixed with the user the queue belongs to.
+  storageKey: 'offline.queue',
+  // Session requests make no sense to replay later.
+  exclude: [/^\/api\/auth\//]
+};
+
+// Items are `{ id, url, options, status, error, queuedAt }`, where status is one of
+// queued | replaying | failed | conflict. Failed and conflicting items stay in the list until
+// they are retried or dismissed, so the UI can show them.
+//
+// Each user has a queue of their own, which is only loaded and replayed once the server has
+// confirmed their session, and is dropped when they log out. Headers are not stored: the
+// interceptors add the current ones again on replay.
+export default class OfflineQueue {
+  @observable items = [];
+  @observable online = true;
+  @observable replaying = false;
+
+  waiters = new Map();
+  listeners = [];
+  retryId = null;
+  storageKey = null;
+
+  constructor (restStore, options = {}) {
+    debug('constructor(%o, %o)', restStore, options);
+
+    this.restStore = restStore;
+    this.clock = restStore.env.clock;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.storage = this.options.storage || restStore.env.localStorage;
+    this.online = restStore.env.online;
+
+    this.disposers = [
+      reaction(() => this.owner, owner => this.switchOwner(owner), {
+        fireImmediately: true
+      }),
+      listen(restStore.env, 'online', this.handleOnline),
+      listen(restStore.env, 'offline', this.handleOffline)
+    ];
+  }
+
+  // Whose queue is active: the logged-in user, or while impersonating the support user and the
+  // customer together, so a replay goes out as the same user it was queued as. Null until the
+  // server has confirmed the session, since a login restored from the last visit may be stale.
+  @computed
+  get owner () {
+    const { authStore } = this.restStore;
+    if (!authStore || authStore.loginStep !== 'loggedIn') return null;
+    const { realUser, username } = authStore;
+    return realUser ? `${realUser.username}>${username}` : username;
+  }
+
+  @action
+  switchOwner (owner) {
+    debug('switchOwner(%s)', owner);
+
+    this.clock.clearTimeout(this.retryId);
+    this.storageKey = owner ? `${this.options.storageKey}.${owner}` : null;
+    this.load();
+    if (this.online && this.length) this.replay();
+  }
+
+  @computed
+  get length () {
+    return this.items.filter(
+      ({ status }) => status === 'queued' || status === 'replaying'
+    ).length;
+  }
+
+  // Only JSON mutations can be persisted; uploads and requests carrying `offline: false` are not.
+  accepts (url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    return (
+      this.storageKey !== null &&
+      options.offline !== false &&
+      MUTATING_METHODS.includes(method) &&
+      (options.body === undefined || typeof options.body === 'string') &&
+      !this.options.exclude.some(pattern => pattern.test(url))
+    );
+  }
+
+  // Resolves with the response once the request has been replayed. Requests restored from a
+  // previous page load have no caller waiting; their outcome is reported through `onResult`.
+  @action
+  enqueue (url, options = {}) {
+    debug('enqueue(%s,%o)', url, options);
+
+    const {
+      signal,
+      timeout,
+      onQueued,
+      offline,
+      headers,
+      ...stored
+    } = options;
+    const item = {
+      id: `${this.clock.now()}-${Math.random()
+        .toString(36)
+        .substr(2, 8)}`,
+      url,
+      options: stored,
+      status: 'queued',
+      error: null,
+      queuedAt: this.clock.now()
+    };
+    this.items.push(item);
+    this.save();
+    if (onQueued) onQueued(item);
+
+    return new Promise((resolve, reject) => {
+      this.waiters.set(item.id, {
+        resolve,
+        reject,
+        request: describeRequest(url, stored.method, stored.tag)
+      });
+    });
+  }
+
+  @action
+  async replay () {
+    if (this.replaying || !this.storageKey) return;
+    debug('replay() %d item(s)', this.length);
+
+    const { storageKey } = this;
+    this.clock.clearTimeout(this.retryId);
+    this.replaying = true;
+    try {
+      for (const item of this.items.slice()) {
+        // The user changed or logged out; their queue waits for their next session.
+        if (this.storageKey !== storageKey) break;
+        if (item.status !== 'queued') continue;
+        if (!(await this.replayItem(item))) break;
+      }
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  // Returns false when the network is still down and the rest of the queue should wait.
+  async replayItem (item) {
+    this.setStatus(item, 'replaying');
+    try {
+      const result = await this.restStore.fetch(item.url, {
+        ...item.options,
+        offline: false
+      });
+      this.settle(item, null, result);
+      return true;
+    } catch (err) {
+      if (err instanceof NetworkError) {
+        this.setStatus(item, 'queued');
+        this.scheduleRetry();
+        return false;
+      }
+      this.setStatus(
+        item,
+        err instanceof ConflictError ? 'conflict' : 'failed',
+        err
+      );
+      this.settle(item, err);
+      return true;
+    }
+  }
+
+  @action
+  retry (item) {
+    this.setStatus(item, 'queued');
+    return this.replay();
+  }
+
+  @action
+  dismiss (item) {
+    this.items.remove(item);
+    this.cancel(item.id);
+    this.save();
+  }
+
+  // Rejects the caller waiting on item `id`, if any.
+  cancel (id) {
+    const waiter = this.waiters.get(id);
+    if (!waiter) return;
+    this.waiters.delete(id);
+    waiter.reject(new CancelError(waiter.request));
+  }
+
+  // On logout: forgets the user's queue, saved copy included, and rejects every caller still
+  // waiting on a replay.
+  @action
+  clear () {
+    debug('clear()');
+
+    this.clock.clearTimeout(this.retryId);
+    Array.from(this.waiters.keys()).forEach(id => this.cancel(id));
+    this.items.clear();
+    if (this.storageKey) this.storage.removeItem(this.storageKey);
+  }
+
+  onResult (listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  @action
+  setStatus (item, status, error = null) {
+    item.status = status;
+    item.error = error;
+    this.save();
+  }
+
+  @action
+  settle (item, error, result) {
+    if (!error) this.items.remove(item);
+    this.save();
+
+    this.listeners.forEach(listener => listener(item, error, result));
+    const waiter = this.waiters.get(item.id);
+    if (!waiter) return;
+    this.waiters.delete(item.id);
+    if (error) waiter.reject(error);
+    else waiter.resolve(result);
+  }
+
+  scheduleRetry () {
+    this.clock.clearTimeout(this.retryId);
+    if (this.online) {
+      this.retryId = this.clock.setTimeout(() => this.replay(), RETRY_INTERVAL);
+    }
+  }
+
+  handleOnline = action(() => {
+    debug('online');
+    this.online = true;
+    this.replay();
+  });
+
+  handleOffline = action(() => {
+    debug('offline');
+    this.online = false;
+  });
+
+  load () {
+    if (!this.storageKey) {
+      this.items.clear();
+      return;
+    }
+    try {
+      const items = JSON.parse(this.storage.getItem(this.storageKey));
+      // Anything caught mid-replay by a page unload goes back in the queue.
+      this.items.replace(
+        (items || []).map(item =>
+          item.status === 'replaying' ? { ...item, status: 'queued' } : item
+        )
+      );
+    } catch (e) {
+      debug('load() failed: %o', e);
+    }
+  }
+
+  save () {
+    if (!this.storageKey) return;
+    this.storage.setItem(
+      this.storageKey,
+      JSON.stringify(
+        this.items.map(({ error, ...item }) => ({
+          ...item,
+          error: error ? { message: error.message, status: error.status } : null
+        }))
+      )
+    );
+  }
+
+  dispose () {
+    this.clock.clearTimeout(this.retryId);
+    this.disposers.forEach(dispose => dispose());
+    this.disposers = [];
+  }
+}
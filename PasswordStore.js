@@ -0,0 +1,275 @@
+import { observable, action } from 'mobx';
+import { ValidationError } from './errors';
+
+const debug = require('debug')('model.PasswordStore');
+
+// Keyed by the `error` code the account endpoints answer with.
+const PASSWORD_ERRORS = {
+  unknown_account: 'We could not find an account with that username.',
+  rate_limited:
+    'Too many password reset requests. Please wait a few minutes and try again.',
+  invalid_token: 'This password reset link is not valid.',
+  token_expired:
+    'This password reset link has expired. Please request a new one.',
+  current_password_invalid: 'Your current password was entered incorrectly.',
+  password_reused: 'Please choose a password you have not used before.'
+};
+
+// A bare 404 could be a missing endpoint as well as an unknown account, so only the body's code
+// says which.
+const errorCode = err => {
+  if (Number(err.status) === 429) return 'rate_limited';
+  return err.body && err.body.error;
+};
+
+// Shared with AuthStore.forgotPassword().
+export const passwordErrorMessage = (err, fallback) =>
+  PASSWORD_ERRORS[errorCode(err)] ||
+  (err.body && err.body.error_description) ||
+  fallback;
+
+// Checks a password against ConfigStore.passwordPolicy. Returns field errors for `password` and
+// `confirm`; an empty object means the password is acceptable.
+export const validatePassword = (
+  policy,
+  password = '',
+  { confirm, username } = {}
+) => {
+  const problems = [];
+  if (password.length < policy.minLength) {
+    problems.push(`at least ${policy.minLength} characters`);
+  }
+  if (policy.maxLength && password.length > policy.maxLength) {
+    problems.push(`no more than ${policy.maxLength} characters`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('a lowercase letter');
+  }
+  if (policy.requireDigit && !/[0-9]/.test(password)) {
+    problems.push('a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('a symbol');
+  }
+
+  const fieldErrors = {};
+  if (problems.length) {
+    fieldErrors.password = `Your password must contain ${problems.join(', ')}.`;
+  } else if (
+    policy.disallowUsername &&
+    username &&
+    password.toLowerCase().includes(username.toLowerCase())
+  ) {
+    fieldErrors.password = 'Your password must not contain your username.';
+  }
+  if (confirm !== undefined && confirm !== password) {
+    fieldErrors.confirm = 'The passwords do not match.';
+  }
+  return fieldErrors;
+};
+
+// A rough 0-4 score for a strength meter; the policy decides what is acceptable.
+export const passwordStrength = (password = '') => {
+  const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(pattern =>
+    pattern.test(password)
+  ).length;
+  if (password.length < 8) return Math.min(classes, 1);
+  return Math.min(4, classes + (password.length >= 12 ? 1 : 0));
+};
+
+// status is idle | pending | success | failed. tokenStatus is unknown | checking | valid |
+// invalid | expired.
+export default class PasswordStore {
+  @observable status = 'idle';
+  @observable tokenStatus = 'unknown';
+  @observable message = '';
+  @observable error = '';
+  @observable fieldErrors = {};
+
+  constructor (restStore, configStore, authStore) {
+    debug('constructor(%o, %o, %o)', restStore, configStore, authStore);
+
+    this.restStore = restStore;
+    this.configStore = configStore;
+    this.authStore = authStore;
+  }
+
+  @action
+  reset () {
+    this.status = 'idle';
+    this.tokenStatus = 'unknown';
+    this.message = '';
+    this.error = '';
+    this.fieldErrors = {};
+  }
+
+  validate (password, { confirm, username = this.authStore.username } = {}) {
+    return validatePassword(this.configStore.passwordPolicy, password, {
+      confirm,
+      username
+    });
+  }
+
+  strength (password) {
+    return passwordStrength(password);
+  }
+
+  @action
+  requestReset (username) {
+    debug('requestReset(%s)', username);
+
+    if (!username) {
+      return Promise.resolve(
+        this.failed({ username: 'Please enter your username.' })
+      );
+    }
+
+    this.pending();
+    return this.restStore
+      .fetch(`/api/account/resend`, {
+        method: 'POST',
+        body: JSON.stringify({ username }),
+        skipRefresh: true
+      })
+      .then(() =>
+        this.succeeded(
+          'Check your email for a link to reset your password.'
+        )
+      )
+      .catch(err =>
+        this.failed(
+          err,
+          'We could not send a password reset email. Please try again.'
+        )
+      );
+  }
+
+  @action
+  verifyResetToken (token) {
+    debug('verifyResetToken()');
+
+    this.tokenStatus = 'checking';
+    return this.restStore
+      .fetch(`/api/account/reset/verify`, {
+        query: { token },
+        skipRefresh: true,
+        cache: false
+      })
+      .then(
+        action(() => {
+          this.tokenStatus = 'valid';
+          return true;
+        })
+      )
+      .catch(
+        action(err => {
+          const expired = errorCode(err) === 'token_expired';
+          this.tokenStatus = expired ? 'expired' : 'invalid';
+          this.error = expired
+            ? PASSWORD_ERRORS.token_expired
+            : PASSWORD_ERRORS.invalid_token;
+          return false;
+        })
+      );
+  }
+
+  @action
+  resetPassword (token, password, confirm) {
+    debug('resetPassword()');
+
+    const fieldErrors = this.validate(password, { confirm, username: null });
+    if (Object.keys(fieldErrors).length) {
+      return Promise.resolve(this.failed(fieldErrors));
+    }
+
+    this.pending();
+    return this.restStore
+      .fetch(`/api/account/reset`, {
+        method: 'POST',
+        body: JSON.stringify({ token, password }),
+        skipRefresh: true
+      })
+      .then(() =>
+        this.succeeded('Your password has been reset. Please log in.')
+      )
+      .catch(err => this.failed(err, 'Your password could not be reset.'));
+  }
+
+  // Servers that end the session on a password change answer with `passwordSet`; the user is
+  // then logged out and asked to log in with the new password.
+  @action
+  changePassword (currentPassword, password, confirm) {
+    debug('changePassword()');
+
+    const fieldErrors = this.validate(password, { confirm });
+    if (!currentPassword) {
+      fieldErrors.currentPassword = 'Please enter your current password.';
+    }
+    if (Object.keys(fieldErrors).length) {
+      return Promise.resolve(this.failed(fieldErrors));
+    }
+
+    this.pending();
+    return this.restStore
+      .fetch(`/api/account/password`, {
+        method: 'POST',
+        body: JSON.stringify({ currentPassword, password }),
+        offline: false
+      })
+      .then(async result => {
+        const loggedOut = !!(result && result.passwordSet);
+        if (loggedOut) await this.authStore.logout();
+        return this.passwordChanged(loggedOut);
+      })
+      .catch(err => this.failed(err, 'Your password could not be changed.'));
+  }
+
+  @action
+  passwordChanged (loggedOut) {
+    const message = 'Your password has been updated.';
+    if (loggedOut) this.authStore.message = `${message}  Please log in.`;
+    else this.authStore.hasPassword = true;
+    return this.succeeded(message);
+  }
+
+  @action
+  pending () {
+    this.status = 'pending';
+    this.message = '';
+    this.error = '';
+    this.fieldErrors = {};
+  }
+
+  @action
+  succeeded (message) {
+    this.status = 'success';
+    this.message = message;
+    return true;
+  }
+
+  // Takes either an API error or field errors found on the client. Returns false so callers
+  // can branch without a catch.
+  @action
+  failed (err, fallback = 'Something went wrong. Please try again.') {
+    debug('failed(%o)', err);
+
+    this.status = 'failed';
+    this.message = '';
+    if (err instanceof Error) {
+      const fieldErrors =
+        err instanceof ValidationError ? { ...err.fieldErrors } : {};
+      if (errorCode(err) === 'current_password_invalid') {
+        fieldErrors.currentPassword = PASSWORD_ERRORS.current_password_invalid;
+      }
+      this.fieldErrors = fieldErrors;
+      this.error = passwordErrorMessage(err, fallback);
+    } else {
+      this.fieldErrors = err;
+      this.error = '';
+    }
+    return false;
+  }
+}
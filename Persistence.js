@@ -0,0 +1,270 @@
+import { observable, action, reaction, toJS } from 'mobx';
+import { browserEnvironment } from './environment';
+
+const debug = require('debug')('model.Persistence');
+
+const KEY_PREFIX = 'state.';
+
+// Saves are batched so a burst of changes, e.g. a whole account being set, is written once.
+const SAVE_DELAY = 500;
+
+const DEFAULT_OPTIONS = {
+  key: null,
+  fields: [],
+  // 'local', 'session', 'indexedDB' or a backend; the first three come from `env`.
+  storage: 'local',
+  env: null,
+  version: 1,
+  // `{ [version]: data => data }`, run in order for every version newer than the stored one.
+  migrations: {},
+  // Fields that go through `encryption` before they are written, and are not written at all
+  // without it.
+  sensitive: [],
+  encryption: null,
+  // ms, or a function returning ms; older snapshots are discarded. 0 keeps them forever.
+  maxAge: 0,
+  // Saving only happens while this returns true, e.g. while a user is logged in.
+  when: null
+};
+
+// Backends take and return plain objects and always answer with promises, so the synchronous
+// Web Storage and the asynchronous IndexedDB look the same.
+export const webStorage = storage => ({
+  getItem: key =>
+    Promise.resolve().then(() => JSON.parse(storage.getItem(key) || 'null')),
+  setItem: (key, value) =>
+    Promise.resolve().then(() => storage.setItem(key, JSON.stringify(value))),
+  removeItem: key => Promise.resolve().then(() => storage.removeItem(key))
+});
+
+export const indexedDBStorage = (
+  name = 'state',
+  storeName = 'snapshots',
+  indexedDB = window.indexedDB
+) => {
+  let db = null;
+  const open = () => {
+    if (!db) {
+      db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () =>
+          request.result.createObjectStore(storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return db;
+  };
+  const run = (mode, operation) =>
+    open().then(
+      database =>
+        new Promise((resolve, reject) => {
+          const transaction = database.transaction(storeName, mode);
+          const request = operation(transaction.objectStore(storeName));
+          transaction.oncomplete = () => resolve(request.result);
+          transaction.onerror = () => reject(transaction.error);
+        })
+    );
+
+  return {
+    getItem: key =>
+      run('readonly', store => store.get(key)).then(value =>
+        value === undefined ? null : value
+      ),
+    setItem: (key, value) => run('readwrite', store => store.put(value, key)),
+    removeItem: key => run('readwrite', store => store.delete(key))
+  };
+};
+
+const resolveStorage = (storage, env) => {
+  if (storage === 'local') return webStorage(env.localStorage);
+  if (storage === 'session') return webStorage(env.sessionStorage);
+  if (storage === 'indexedDB') {
+    return env.indexedDB
+      ? indexedDBStorage(undefined, undefined, env.indexedDB)
+      : webStorage(env.localStorage);
+  }
+  return storage;
+};
+
+// Keeps a whitelist of a store's fields in storage and puts them back on the next page load, so
+// the app can render from the last known state while fresh data loads. Snapshots are
+// `{ version, savedAt, data }`.
+//
+// Nothing is written until rehydrate() has run, so a store's initial values never overwrite
+// the snapshot it is about to restore.
+export default class Persistence {
+  @observable rehydrated = false;
+
+  disposer = null;
+
+  constructor (store, options = {}) {
+    debug('constructor(%o)', options);
+
+    this.store = store;
+    this.configure(options);
+  }
+
+  configure (options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...this.options, ...options };
+    this.key = `${KEY_PREFIX}${this.options.key}`;
+    // Storage and the clock for `savedAt` and `maxAge`.
+    if (options.env || !this.env) {
+      this.env = this.options.env || browserEnvironment();
+    }
+    if (options.storage || options.env || !this.storage) {
+      this.storage = resolveStorage(this.options.storage, this.env);
+    }
+  }
+
+  // Resolves true when a usable snapshot was applied to the store.
+  rehydrate () {
+    debug('rehydrate(%s)', this.key);
+
+    return this.storage
+      .getItem(this.key)
+      .then(snapshot => this.migrate(snapshot))
+      .then(data => data && this.decrypt(data))
+      .then(
+        action(data => {
+          if (data) this.apply(data);
+          return !!data;
+        })
+      )
+      .catch(err => {
+        debug('rehydrate(%s) failed: %o', this.key, err);
+        return false;
+      })
+      .then(
+        action(restored => {
+          this.rehydrated = true;
+          this.start();
+          return restored;
+        })
+      );
+  }
+
+  migrate (snapshot) {
+    if (!snapshot || typeof snapshot !== 'object') return null;
+
+    const { version = 0, savedAt = 0, data } = snapshot;
+    const { maxAge } = this.options;
+    const age = typeof maxAge === 'function' ? maxAge() : maxAge;
+    if (age && this.env.clock.now() - savedAt > age) {
+      debug('migrate(%s) discarding snapshot older than %d ms', this.key, age);
+      return null;
+    }
+    if (version > this.options.version) {
+      debug(
+        'migrate(%s) discarding snapshot from version %d',
+        this.key,
+        version
+      );
+      return null;
+    }
+
+    return Object.keys(this.options.migrations)
+      .map(Number)
+      .filter(target => target > version && target <= this.options.version)
+      .sort((a, b) => a - b)
+      .reduce((migrated, target) => {
+        debug('migrate(%s) to version %d', this.key, target);
+        return this.options.migrations[target](migrated);
+      }, data);
+  }
+
+  @action
+  apply (data) {
+    this.options.fields
+      .filter(field => data[field] !== undefined)
+      .forEach(field => {
+        const current = this.store[field];
+        if (current && typeof current.replace === 'function') {
+          current.replace(data[field]);
+        } else {
+          this.store[field] = data[field];
+        }
+      });
+  }
+
+  snapshot () {
+    return this.options.fields.reduce(
+      (data, field) => ({ ...data, [field]: toJS(this.store[field]) }),
+      {}
+    );
+  }
+
+  // Encryption hooks are `{ encrypt(value, field), decrypt(value, field) }` and may be async.
+  // Without them, sensitive fields are dropped rather than stored or restored as plain text.
+  transform (data, hook) {
+    const { sensitive, encryption } = this.options;
+    if (!sensitive.length) return Promise.resolve(data);
+    if (!encryption) {
+      return Promise.resolve(
+        Object.keys(data)
+          .filter(field => !sensitive.includes(field))
+          .reduce((kept, field) => ({ ...kept, [field]: data[field] }), {})
+      );
+    }
+
+    return Promise.all(
+      sensitive.map(field =>
+        data[field] === undefined
+          ? data[field]
+          : encryption[hook](data[field], field)
+      )
+    ).then(values =>
+      sensitive.reduce(
+        (transformed, field, i) =>
+          data[field] === undefined
+            ? transformed
+            : { ...transformed, [field]: values[i] },
+        data
+      )
+    );
+  }
+
+  encrypt (data) {
+    return this.transform(data, 'encrypt');
+  }
+
+  decrypt (data) {
+    return this.transform(data, 'decrypt');
+  }
+
+  start () {
+    if (this.disposer) return;
+
+    const { when } = this.options;
+    this.disposer = reaction(
+      () => (!when || when() ? this.snapshot() : null),
+      data => data && this.save(data),
+      { delay: SAVE_DELAY }
+    );
+  }
+
+  save (data = this.snapshot()) {
+    return this.encrypt(data)
+      .then(encrypted =>
+        this.storage.setItem(this.key, {
+          version: this.options.version,
+          savedAt: this.env.clock.now(),
+          data: encrypted
+        })
+      )
+      .catch(err => debug('save(%s) failed: %o', this.key, err));
+  }
+
+  clear () {
+    debug('clear(%s)', this.key);
+
+    return this.storage
+      .removeItem(this.key)
+      .catch(err => debug('clear(%s) failed: %o', this.key, err));
+  }
+
+  dispose () {
+    if (this.disposer) this.disposer();
+    this.disposer = null;
+  }
+}
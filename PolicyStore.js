@@ -0,0 +1,191 @@
+import { observable, action, computed } from 'mobx';
+
+const debug = require('debug')('model.PolicyStore');
+
+// `roles` maps a role to the roles it implies; `capabilities` maps a role to the actions it grants.
+// `rules` refine the result, see explain().
+const DEFAULT_POLICY = {
+  roles: {
+    admin: ['editor'],
+    editor: ['viewer']
+  },
+  capabilities: {
+    viewer: ['read'],
+    editor: ['create', 'edit'],
+    admin: ['delete', 'manage']
+  },
+  rules: []
+};
+
+// Sponsors turn up as objects, ids or URLs; compare them by id.
+const sponsorId = sponsor => {
+  if (!sponsor) return null;
+  if (typeof sponsor === 'object') return sponsor.id || sponsorId(sponsor.url);
+  return sponsor.substr(sponsor.lastIndexOf('/') + 1);
+};
+
+const matches = (value, expected) =>
+  expected === undefined ||
+  expected === '*' ||
+  (Array.isArray(expected) ? expected.includes(value) : expected === value);
+
+export default class PolicyStore {
+  @observable.ref policy = DEFAULT_POLICY;
+
+  constructor (authStore, sponsorStore, policy = {}) {
+    debug('constructor(%o, %o, %o)', authStore, sponsorStore, policy);
+
+    this.authStore = authStore;
+    this.sponsorStore = sponsorStore;
+    this.configure(policy);
+
+    // AuthStore.hasRole() defers to the policy from here on, so role hierarchies apply to it too.
+    authStore.policy = this;
+  }
+
+  @action
+  configure ({ roles, capabilities, rules } = {}) {
+    this.policy = {
+      roles: { ...this.policy.roles, ...roles },
+      capabilities: { ...this.policy.capabilities, ...capabilities },
+      rules: rules || this.policy.rules
+    };
+  }
+
+  // Adds `role` and, recursively, every role it implies.
+  expandRoles (roles, expanded = new Set()) {
+    roles.forEach(role => {
+      if (expanded.has(role)) return;
+      expanded.add(role);
+      this.expandRoles(this.policy.roles[role] || [], expanded);
+    });
+    return expanded;
+  }
+
+  @computed
+  get currentSponsorId () {
+    return sponsorId(this.sponsorStore.sponsor);
+  }
+
+  // Permission entries may carry a `sponsor`, in which case they only count in that sponsor's
+  // context.
+  rolesFor (module, sponsor = this.currentSponsorId) {
+    const id = sponsorId(sponsor);
+    const roles = this.authStore.permissions
+      .filter(
+        entry =>
+          entry.module === module &&
+          (!entry.sponsor || sponsorId(entry.sponsor) === id)
+      )
+      .reduce((roles, entry) => roles.concat(entry.roles || []), []);
+    return Array.from(this.expandRoles(roles));
+  }
+
+  hasRole (module, ...roles) {
+    const effective = this.rolesFor(module);
+    return roles.some(role => effective.includes(role));
+  }
+
+  can (action, resource) {
+    return this.explain(action, resource).allowed;
+  }
+
+  // `resource` is a module name or `{ module, sponsor, ...attributes }`; the sponsor defaults to
+  // the active one. The answer is `{ allowed, reason, roles, rule }` so audit screens can show
+  // why. Rules are `{ effect, actions, module, roles, sponsor, when, reason }`:
+  //   - a matching `deny` rule always wins, then roles' capabilities, then matching `allow` rules
+  //   - `sponsor` is 'current' (the resource's sponsor is the active one), 'assigned' (it is one
+  //     of the user's sponsors) or a function of (sponsorId, context)
+  //   - `when` is an optional predicate over the whole context
+  explain (action, resource = {}) {
+    const { module, sponsor, ...attributes } =
+      typeof resource === 'string' ? { module: resource } : resource;
+    const scope = sponsorId(sponsor) || this.currentSponsorId;
+    const context = {
+      action,
+      module,
+      sponsor: scope,
+      attributes,
+      roles: this.rolesFor(module, scope)
+    };
+
+    const applicable = this.policy.rules.filter(rule =>
+      this.ruleApplies(rule, context)
+    );
+
+    const deny = applicable.find(({ effect }) => effect === 'deny');
+    if (deny) {
+      return this.answer(
+        context,
+        false,
+        deny.reason || 'Denied by policy rule',
+        deny
+      );
+    }
+
+    const granting = context.roles.find(role =>
+      (this.policy.capabilities[role] || []).includes(action)
+    );
+    if (granting) {
+      return this.answer(context, true, `Granted by role "${granting}"`);
+    }
+
+    const allow = applicable.find(
+      ({ effect = 'allow' }) => effect === 'allow'
+    );
+    if (allow) {
+      return this.answer(
+        context,
+        true,
+        allow.reason || 'Allowed by policy rule',
+        allow
+      );
+    }
+
+    if (!context.roles.length) {
+      return this.answer(
+        context,
+        false,
+        `No roles in module "${module}" for sponsor ${context.sponsor ||
+          '(none)'}`
+      );
+    }
+    return this.answer(
+      context,
+      false,
+      `None of the roles ${context.roles.join(', ')} ` +
+        `grant "${action}" in module "${module}"`
+    );
+  }
+
+  ruleApplies (rule, context) {
+    if (!matches(context.action, rule.actions)) return false;
+    if (!matches(context.module, rule.module)) return false;
+    if (rule.roles && !rule.roles.some(role => context.roles.includes(role))) {
+      return false;
+    }
+
+    if (rule.sponsor === 'current') {
+      if (context.sponsor !== this.currentSponsorId) return false;
+    } else if (rule.sponsor === 'assigned') {
+      if (!this.authStore.sponsors.map(sponsorId).includes(context.sponsor)) {
+        return false;
+      }
+    } else if (typeof rule.sponsor === 'function') {
+      if (!rule.sponsor(context.sponsor, context)) return false;
+    }
+
+    return !rule.when || rule.when(context);
+  }
+
+  answer (context, allowed, reason, rule = null) {
+    debug(
+      '%s %s on %s: %s',
+      allowed ? 'allow' : 'deny',
+      context.action,
+      context.module,
+      reason
+    );
+    return { allowed, reason, roles: context.roles, rule };
+  }
+}
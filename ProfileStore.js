@@ -0,0 +1,275 @@
+import { observable, action, computed, reaction } from 'mobx';
+import { ValidationError } from './errors';
+
+const debug = require('debug')('model.ProfileStore');
+
+const FIELDS = ['firstName', 'lastName', 'email', 'phoneNumber'];
+
+// Field names the account endpoint may use in its field errors.
+const SERVER_FIELDS = {
+  first_name: 'firstName',
+  last_name: 'lastName',
+  phone: 'phoneNumber',
+  phone_number: 'phoneNumber'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+// Accepts the usual punctuation in phone numbers and stores them in E.164 form.
+const normalizePhone = value => (value || '').replace(/[\s().-]/g, '');
+
+const VALIDATORS = {
+  firstName: value => (value.trim() ? null : 'Please enter your first name.'),
+  lastName: value => (value.trim() ? null : 'Please enter your last name.'),
+  email: value =>
+    EMAIL_PATTERN.test(value.trim())
+      ? null
+      : 'Please enter a valid email address.',
+  phoneNumber: value =>
+    !value || E164_PATTERN.test(normalizePhone(value))
+      ? null
+      : 'Please enter the phone number with its country code, e.g. +15555550123.'
+};
+
+const pick = source =>
+  FIELDS.reduce(
+    (values, field) => ({ ...values, [field]: source[field] || '' }),
+    {}
+  );
+
+// An editable copy of the signed-in user's profile. Edits are validated as they are made, saved
+// optimistically into AuthStore and rolled back if the server refuses them. An email change
+// only takes effect once verified; until then it sits in `pendingEmail`.
+//
+// status is idle | saving | queued | saved | failed.
+export default class ProfileStore {
+  @observable values = pick({});
+  @observable original = pick({});
+  @observable errors = {};
+  @observable status = 'idle';
+  @observable error = '';
+  @observable pendingEmail = null;
+
+  constructor (restStore, authStore) {
+    debug('constructor(%o, %o)', restStore, authStore);
+
+    this.restStore = restStore;
+    this.authStore = authStore;
+    this.load();
+
+    // The store is built before anyone logs in; follow logins, user switches and logouts.
+    this.disposers = [
+      reaction(
+        () => authStore.isLoggedIn && authStore.username,
+        username => (username ? this.load() : this.clear())
+      )
+    ];
+  }
+
+  dispose () {
+    this.disposers.forEach(dispose => dispose());
+    this.disposers = [];
+  }
+
+  @computed
+  get dirtyFields () {
+    return FIELDS.filter(field => this.values[field] !== this.original[field]);
+  }
+
+  @computed
+  get isDirty () {
+    return this.dirtyFields.length > 0;
+  }
+
+  @computed
+  get isValid () {
+    return Object.values(this.errors).every(error => !error);
+  }
+
+  isFieldDirty (field) {
+    return this.dirtyFields.includes(field);
+  }
+
+  @action
+  load () {
+    this.original = pick(this.authStore);
+    this.values = { ...this.original };
+    this.errors = {};
+    this.status = 'idle';
+    this.error = '';
+  }
+
+  @action
+  clear () {
+    this.original = pick({});
+    this.values = pick({});
+    this.errors = {};
+    this.status = 'idle';
+    this.error = '';
+    this.pendingEmail = null;
+  }
+
+  @action
+  setField (field, value) {
+    this.values = { ...this.values, [field]: value };
+    this.errors = { ...this.errors, [field]: VALIDATORS[field](value || '') };
+    if (this.status !== 'saving') this.status = 'idle';
+  }
+
+  @action
+  validate () {
+    this.errors = FIELDS.reduce(
+      (errors, field) => ({
+        ...errors,
+        [field]: VALIDATORS[field](this.values[field] || '')
+      }),
+      {}
+    );
+    return this.isValid;
+  }
+
+  @action
+  discard () {
+    this.values = { ...this.original };
+    this.errors = {};
+    this.status = 'idle';
+    this.error = '';
+  }
+
+  @action
+  save (sponsor = this.authStore.sponsor) {
+    debug('save(%s) %o', sponsor, this.dirtyFields);
+
+    if (!this.validate()) {
+      this.status = 'failed';
+      return Promise.resolve(false);
+    }
+    if (!this.isDirty) return Promise.resolve(true);
+
+    const updates = this.dirtyFields.reduce(
+      (updates, field) => ({
+        ...updates,
+        [field]:
+          field === 'phoneNumber'
+            ? normalizePhone(this.values[field])
+            : this.values[field].trim()
+      }),
+      {}
+    );
+
+    // Apply everything but the email straight away; remember what to roll back to.
+    const previous = pick(this.authStore);
+    Object.entries(updates)
+      .filter(([field]) => field !== 'email')
+      .forEach(([field, value]) => {
+        this.authStore[field] = value;
+      });
+
+    this.status = 'saving';
+    this.error = '';
+    return this.restStore
+      .fetch('/api/account', {
+        method: 'POST',
+        query: sponsor ? { sponsor } : undefined,
+        body: JSON.stringify(updates),
+        onQueued: action(() => {
+          this.status = 'queued';
+        })
+      })
+      .then(account => this.saved(account, updates))
+      .catch(err => this.rejected(err, previous));
+  }
+
+  @action
+  saved (account = {}, updates) {
+    debug('saved(%o)', account);
+
+    FIELDS.filter(
+      field => field !== 'email' && account[field] !== undefined
+    ).forEach(field => {
+      this.authStore[field] = account[field];
+    });
+    if (account.emailVerificationPending) {
+      this.pendingEmail = account.pendingEmail || updates.email;
+    } else if (account.email !== undefined) {
+      this.authStore.email = account.email;
+      this.pendingEmail = null;
+    }
+    this.authStore.refreshed = Date.now();
+
+    this.original = pick(this.authStore);
+    this.values = { ...this.original };
+    this.errors = {};
+    this.status = 'saved';
+    return true;
+  }
+
+  // Puts AuthStore back as it was but keeps the user's edits, with the server's field errors
+  // attached to them.
+  @action
+  rejected (err, previous) {
+    debug('rejected(%o)', err);
+
+    Object.entries(previous).forEach(([field, value]) => {
+      this.authStore[field] = value;
+    });
+
+    if (err instanceof ValidationError) {
+      this.errors = Object.entries(err.fieldErrors).reduce(
+        (errors, [field, message]) => ({
+          ...errors,
+          [SERVER_FIELDS[field] || field]: message
+        }),
+        {}
+      );
+    }
+    this.status = 'failed';
+    this.error =
+      (err.body && err.body.error_description) ||
+      'Your profile could not be saved.';
+    return false;
+  }
+
+  @action
+  resendEmailVerification () {
+    debug('resendEmailVerification()');
+
+    return this.restStore
+      .fetch('/api/account/email/verify', {
+        method: 'POST',
+        body: JSON.stringify({ email: this.pendingEmail })
+      })
+      .then(() => true)
+      .catch(
+        action(err => {
+          this.error =
+            (err.body && err.body.error_description) ||
+            'The verification email could not be sent.';
+          return false;
+        })
+      );
+  }
+
+  @action
+  cancelEmailChange () {
+    debug('cancelEmailChange()');
+
+    return this.restStore
+      .fetch('/api/account/email/verify', { method: 'DELETE' })
+      .then(
+        action(() => {
+          this.pendingEmail = null;
+          return true;
+        })
+      )
+      .catch(
+        action(err => {
+          this.error =
+            (err.body && err.body.error_description) ||
+            'The email change could not be cancelled.';
+          return false;
+        })
+      );
+  }
+}
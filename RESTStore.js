@@ -1,11 +1,52 @@
-import { observable, action } from 'mobx';
-import qs from 'qs';
+import { observable, action, autorun, computed } from 'mobx';
+import {
+  AuthError,
+  CancelError,
+  NetworkError,
+  SchemaError,
+  errorFromResponse
+} from './errors';
+import { appendQuery, describeRequest, linkSignal } from './requestHelpers';
+import ResponseCache from './ResponseCache';
+import Interceptors from './Interceptors';
+import UploadManager from './UploadManager';
+import OfflineQueue from './OfflineQueue';
+import TabSync from './TabSync';
+import ActivityMonitor from './ActivityMonitor';
+import { browserEnvironment } from './environment';
+import { validate } from './schema';
 
 const debug = require('debug')('model.RESTStore');
 
 // 3 seconds less than their real values defined in SSO to prevent timing issues.
 const REFRESH_TIMEOUT = 900000 - 3;
 const ACCESS_TIMEOUT = 60000 - 3;
+// Values from ConfigStore get the same treatment.
+const TIMEOUT_MARGIN = 3000;
+
+// How long before the session expires `expiringSoon` turns on.
+const WARNING_THRESHOLD = 120000;
+
+// `attempts` counts the first request too. Methods outside `methods` are only retried when the
+// caller opts in with the `retry` option.
+const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  methods: ['GET', 'HEAD'],
+  statuses: [502, 503, 504]
+};
+
+// Development builds warn about responses that do not match their schema; production builds
+// reject them.
+const DEFAULT_VALIDATION = {
+  mode:
+    typeof process !== 'undefined' && process.env.NODE_ENV === 'production'
+      ? 'reject'
+      : 'warn',
+  coerce: false,
+  onSchemaError: null
+};
 
 const buildOptions = options => {
   debug('buildOptions(%o)', options);
@@ -25,17 +66,54 @@ const buildOptions = options => {
   return { ...standard, ...options };
 };
 
-const responseErrorMsg = (response, body) => {
-  if (body && body.error_description) {
-    return body.error_description;
-  } else if (body && body.error) {
-    return body.error;
-  } else {
-    return `${response.status} - ${JSON.stringify(body)}`;
+// How many failed requests the `errors` registry remembers.
+const MAX_RECENT_ERRORS = 50;
+
+// Retry-After is either a number of seconds or an HTTP date.
+const parseRetryAfter = value => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with full jitter, unless the server said how long to wait. Returns null
+// when the server asks for a longer wait than the policy allows, in which case we give up.
+const retryDelay = (policy, attempt, response) => {
+  const retryAfter = response
+    ? parseRetryAfter(response.headers.get('Retry-After'))
+    : null;
+  if (retryAfter !== null) {
+    return retryAfter <= policy.maxDelay ? retryAfter : null;
   }
+  return (
+    Math.random() *
+    Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1))
+  );
 };
 
-let sessionWatchId;
+const delay = (clock, ms) =>
+  new Promise(resolve => clock.setTimeout(resolve, ms));
+
+// Cached GETs are only shared between callers whose options give the same result. Schemas are
+// compared by identity. The variant goes after a `#` so that invalidating a path still matches.
+const schemaIds = new WeakMap();
+let lastSchemaId = 0;
+const cacheKey = (url, { query, headers, schema, silent, skip401, tag }) => {
+  if (schema && !schemaIds.has(schema)) {
+    schemaIds.set(schema, ++lastSchemaId);
+  }
+  const variant = JSON.stringify({
+    headers,
+    schema: schema ? schemaIds.get(schema) : undefined,
+    silent: silent || undefined,
+    skip401: skip401 || undefined,
+    tag
+  });
+  const key = appendQuery(url, query);
+  return variant === '{}' ? key : `${key}#${variant}`;
+};
 
 export default class RESTStore {
   @observable timestamp = Date.now();
@@ -44,137 +122,477 @@ export default class RESTStore {
   @observable error = '';
   @observable progress = 0.0;
   @observable uploadError = '';
+  @observable retrying = 0;
+  @observable errors = observable.map();
+  @observable secondsUntilExpiry = null;
+  @observable warningThreshold = WARNING_THRESHOLD;
+  refreshTimeout = REFRESH_TIMEOUT;
+  accessTimeout = ACCESS_TIMEOUT;
   refreshPromise = null;
+  retryPolicy = { ...DEFAULT_RETRY_POLICY };
+  validation = { ...DEFAULT_VALIDATION };
+  interceptors = new Interceptors();
+  uploads = new UploadManager(this);
+  offlineQueue = null;
+  // Set by AuthStore; the offline queue follows its session.
+  authStore = null;
 
   timeoutId = null;
+  sessionWatchId = null;
 
-  constructor () {
+  // `env` supplies fetch, storage, timers and DOM events; see environment.js.
+  constructor (env = browserEnvironment()) {
     debug('constructor()');
-    if (sessionWatchId) clearInterval(sessionWatchId);
 
-    sessionWatchId = setInterval(
+    this.env = env;
+    this.transport = env.fetch;
+    this.cache = new ResponseCache(env.clock);
+    this.tabSync = new TabSync(env);
+    this.tabSync.on('refresh-request', () => {
+      if (!this.tabSync.isLeader) return;
+      // Forced: the asking tab's timer ran out, whatever the shared timestamp says. The outcome
+      // reaches the other tabs through refreshSession()'s own broadcasts.
+      this.refresh(true).catch(err =>
+        debug('refresh for another tab failed: %o', err)
+      );
+    });
+    this.tabSync.on(
+      'refresh',
+      action(() => {
+        this.expired = false;
+      })
+    );
+    this.tabSync.on(
+      'expired',
       action(() => {
-        debug(
-          `Running session watch. ${this.getLastRefresh() +
-            REFRESH_TIMEOUT -
-            Date.now()}ms until expired`
+        this.expired = true;
+      })
+    );
+
+    // Requests no longer count as activity; the user interacting with the page does. That
+    // activity also keeps the server session alive when the page is not making requests.
+    this.activity = new ActivityMonitor(env);
+    this.activity.onActivity(() => {
+      if (!this.expired && this.getLastRefresh()) {
+        this.refresh().catch(err =>
+          debug('refresh on activity failed: %o', err)
         );
-        if (this.getLastRefresh() + REFRESH_TIMEOUT < Date.now()) {
-          this.expired = true;
-        }
-      }),
-      5000
+      }
+    });
+
+    this.sessionWatchId = env.clock.setInterval(
+      () => this.watchSession(),
+      1000
     );
   }
 
-  @action
-  fetch (url, options = {}, recordActivity = true) {
-    return new Promise(async (resolve, reject) => {
-      debug('fetch(%o,%o)', url, options);
+  // Stops the session watch, tab sync, activity tracking and offline replays, and cancels the
+  // uploads in flight. The store cannot be used afterwards.
+  dispose () {
+    debug('dispose()');
+
+    this.env.clock.clearInterval(this.sessionWatchId);
+    this.sessionWatchId = null;
+    this.tabSync.dispose();
+    this.activity.dispose();
+    if (this.offlineQueue) this.offlineQueue.dispose();
+    this.uploads.active.forEach(upload => upload.cancel());
+  }
 
-      const { query, skip401 = false, ...requestOptions } = options;
-      if (query && Object.keys(query).length > 0) {
-        url +=
-          (url.indexOf('?') === -1 ? '?' : '&') +
-          qs.stringify(query, { skipNulls: true });
-      }
+  // Forgets cached responses, errors and the session state; the timers keep running.
+  @action
+  reset () {
+    debug('reset()');
 
-      try {
-        if (!options.skipRefresh && recordActivity) await this.refresh();
-      } catch (e) {
-        reject(e);
-        return;
-      }
+    this.invalidate();
+    this.clearError();
+    this.resetExpired();
+    this.secondsUntilExpiry = null;
+  }
 
-      return window.fetch(url, buildOptions(requestOptions)).then(response => {
-        if (skip401 && Number(response.status) === 401) {
-          this.status = 200;
-        } else this.status = response.status;
-
-        if (response.ok) {
-          this.error = '';
-          resolve(response.json());
-        } else {
-          if (response.status === 504) {
-            // Specific handling for gateway timeout
-            return response.text().then(message => {
-              const error = new Error(message);
-              error.body = { error: message };
-              reject(error);
-            });
-          }
-          return response.json().then(body => {
-            this.error = responseErrorMsg(response, body);
-            const error = new Error(this.error);
-            error.status = response.status;
-            error.body = body;
-            reject(error);
-          });
-        }
-      });
+  // Timeouts are in ms. The two session timeouts are the real values from SSO; a small margin is
+  // taken off here. A timeout left out stays as it is; 0 puts back the default.
+  @action
+  configure ({ refreshTimeout, accessTimeout, warningThreshold } = {}) {
+    debug('configure(%o)', {
+      refreshTimeout,
+      accessTimeout,
+      warningThreshold
     });
+
+    if (refreshTimeout !== undefined) {
+      this.refreshTimeout = refreshTimeout
+        ? refreshTimeout - TIMEOUT_MARGIN
+        : REFRESH_TIMEOUT;
+    }
+    if (accessTimeout !== undefined) {
+      this.accessTimeout = accessTimeout
+        ? accessTimeout - TIMEOUT_MARGIN
+        : ACCESS_TIMEOUT;
+    }
+    if (warningThreshold !== undefined) {
+      this.warningThreshold = warningThreshold || WARNING_THRESHOLD;
+    }
+    this.watchSession();
+  }
+
+  // The session ends a refresh timeout after the last refresh, or after the user was last
+  // active, whichever comes first.
+  getExpiry () {
+    return (
+      Math.min(this.getLastRefresh(), this.activity.lastActivity) +
+      this.refreshTimeout
+    );
   }
 
   @action
-  upload (url, file, options = {}, recordActivity = true) {
-    return new Promise(async (resolve, reject) => {
-      debug('upload(%s,%s,%o,%s)', url, file, options, recordActivity);
+  watchSession () {
+    const remaining = this.getExpiry() - this.env.clock.now();
+    debug(`Running session watch. ${remaining}ms until expired`);
+
+    this.secondsUntilExpiry = this.getLastRefresh()
+      ? Math.max(0, Math.ceil(remaining / 1000))
+      : null;
+    if (remaining < 0) {
+      this.expired = true;
+    }
+  }
 
-      const { method = 'POST', query, headers = {}, ...data } = options;
-      if (query && Object.keys(query).length > 0) {
-        url +=
-          (url.indexOf('?') === -1 ? '?' : '&') +
-          qs.stringify(query, { skipNulls: true });
-      }
+  @computed
+  get expiringSoon () {
+    return (
+      !this.expired &&
+      this.secondsUntilExpiry !== null &&
+      this.secondsUntilExpiry * 1000 <= this.warningThreshold
+    );
+  }
 
-      try {
-        if (!options.skipRefresh && recordActivity) await this.refresh();
-      } catch (e) {
-        reject(e);
-        return;
-      }
+  // "Stay signed in": counts as activity and refreshes the session straight away.
+  @action
+  keepAlive () {
+    debug('keepAlive()');
 
-      const xhr = new window.XMLHttpRequest();
-      const fd = new window.FormData();
-      xhr.open(method, url, true);
-      Object.entries(headers).forEach(([key, value]) =>
-        xhr.setRequestHeader(key, value)
-      );
+    this.activity.record();
+    return this.refresh(true).then(() => this.watchSession());
+  }
 
-      xhr.upload.addEventListener(
-        'progress',
-        action(event => {
-          this.progress = Math.round((event.loaded * 100.0) / event.total);
-        })
-      );
+  @action
+  setRetryPolicy (policy) {
+    this.retryPolicy = { ...this.retryPolicy, ...policy };
+  }
 
-      xhr.addEventListener(
-        'error',
-        action(err => {
-          this.uploadError = err.message;
-          reject(err);
-        })
+  // `retry` may be false to disable retries, true to opt a non-idempotent request in, a number of
+  // attempts, or a partial policy (which also opts the request in).
+  retryPolicyFor (method = 'GET', retry) {
+    if (retry === false) return { ...this.retryPolicy, attempts: 1 };
+
+    const policy =
+      typeof retry === 'number'
+        ? { ...this.retryPolicy, attempts: retry }
+        : { ...this.retryPolicy, ...(typeof retry === 'object' ? retry : {}) };
+    if (!retry && !policy.methods.includes(method.toUpperCase())) {
+      policy.attempts = 1;
+    }
+    return policy;
+  }
+
+  // `mode` is warn, reject or off; `coerce` converts values of a convertible type, e.g. '30' to
+  // 30, instead of reporting them. `onSchemaError(error)` is told of every mismatch in warn
+  // mode, e.g. to report it; otherwise mismatches only go to the debug log.
+  @action
+  setValidation (validation) {
+    this.validation = { ...this.validation, ...validation };
+  }
+
+  // Checks a response against the `schema` option of its request. Returns the body, coerced if
+  // enabled, or throws a SchemaError in reject mode.
+  checkResponse (schema, body, request) {
+    const { mode, coerce } = this.validation;
+    if (!schema || mode === 'off') return body;
+
+    const { value, errors } = validate(schema, body, { coerce });
+    if (!errors.length) return value;
+
+    const error = new SchemaError(request, errors, body);
+    if (mode === 'reject') throw error;
+    debug('checkResponse() %s', error.message);
+    if (this.validation.onSchemaError) this.validation.onSchemaError(error);
+    return value;
+  }
+
+  // A transport is a fetch-compatible function, or an object with one as `fetch` such as a
+  // FixtureTransport. Returns the previous one so it can be put back.
+  setTransport (transport) {
+    debug('setTransport(%o)', transport);
+
+    const previous = this.transport;
+    this.transport =
+      typeof transport === 'function' ? transport : transport.fetch;
+    return previous;
+  }
+
+  // Registers request/response/error hooks that apply to both fetch and upload. Returns a
+  // function that removes them again.
+  use (interceptor) {
+    return this.interceptors.use(interceptor);
+  }
+
+  // `recordActivity` is kept for existing callers: false skips refreshing the access token for
+  // this call. Whether the user is active is tracked by ActivityMonitor, not by requests.
+  @action
+  fetch (url, options = {}, recordActivity = true) {
+    return this.interceptors.run(
+      { ...options, url, type: 'fetch' },
+      ({ url: target, type, ...request }) =>
+        this.dispatch(target, request, recordActivity)
+    );
+  }
+
+  // GETs given a `cache` option (a TTL in ms, or `{ ttl, staleWhileRevalidate }`) are served from
+  // the response cache and share identical in-flight requests; every other request runs on its
+  // own. A successful mutation invalidates cached GETs under its path.
+  //
+  // With the offline queue enabled, mutations made while offline or failing on the network are
+  // queued and the returned promise settles once they have been replayed. `onQueued` is called
+  // when that happens; `offline: false` keeps a request out of the queue.
+  //
+  // A `schema` option (see schemas.js) is checked against the response, see checkResponse().
+  dispatch (url, options = {}, recordActivity = true) {
+    const { cache, offline, onQueued, ...requestOptions } = options;
+    const method = (options.method || 'GET').toUpperCase();
+
+    if (method !== 'GET' || !cache) {
+      const queue =
+        this.offlineQueue && this.offlineQueue.accepts(url, options)
+          ? this.offlineQueue
+          : null;
+      if (queue && !queue.online) return queue.enqueue(url, options);
+
+      return this.request(url, requestOptions, recordActivity).then(
+        body => {
+          if (method !== 'GET') this.invalidate(url.split('?')[0]);
+          return body;
+        },
+        err => {
+          if (!queue || !(err instanceof NetworkError)) throw err;
+          this.errors.delete(err.request.tag);
+          return queue.enqueue(url, options);
+        }
+      );
+    }
+
+    const key = cacheKey(url, requestOptions);
+    const policy = typeof cache === 'number' ? { ttl: cache } : cache;
+    const entry = this.cache.lookup(key);
+    if (entry && !entry.stale) {
+      debug('fetch(%s) served from cache', key);
+      return Promise.resolve(entry.data);
+    }
+
+    // The shared request runs on its own signal so that one caller giving up does not fail the
+    // others; it is aborted once every caller has, see ResponseCache.load().
+    const { signal, timeout, ...sharedOptions } = requestOptions;
+    const load = callerSignal =>
+      this.cache.load(
+        key,
+        sharedSignal =>
+          this.request(
+            url,
+            { ...sharedOptions, signal: sharedSignal },
+            recordActivity
+          ),
+        policy,
+        callerSignal
       );
 
-      xhr.onreadystatechange = () => {
-        this.status = xhr.status;
+    if (entry) {
+      debug('fetch(%s) served stale, revalidating', key);
+      load().catch(err => debug('revalidate(%s) failed: %o', key, err));
+      return Promise.resolve(entry.data);
+    }
+
+    if (!signal && !timeout) return load();
+    const link = linkSignal(
+      describeRequest(appendQuery(url, options.query), 'GET', options.tag),
+      signal,
+      timeout,
+      this.env.clock
+    );
+    if (link.reason) {
+      link.release();
+      return Promise.reject(link.reason);
+    }
+    return link.guard(load(link.signal)).finally(() => link.release());
+  }
 
-        if (xhr.readyState === 4 && xhr.status === 200) {
-          this.uploadError = '';
-          resolve(JSON.parse(xhr.responseText));
+  @action
+  enableOfflineQueue (options) {
+    if (!this.offlineQueue) this.offlineQueue = new OfflineQueue(this, options);
+    return this.offlineQueue;
+  }
+
+  @action
+  invalidate (prefix = '') {
+    this.cache.invalidate(prefix);
+  }
+
+  request (url, options = {}, recordActivity = true) {
+    return new Promise(async (resolve, reject) => {
+      debug('request(%o,%o)', url, options);
+
+      const {
+        query,
+        skip401 = false,
+        signal,
+        timeout,
+        retry,
+        tag,
+        silent = false,
+        schema,
+        ...requestOptions
+      } = options;
+      url = appendQuery(url, query);
+
+      const request = describeRequest(url, requestOptions.method, tag);
+      const link = linkSignal(request, signal, timeout, this.env.clock);
+      const policy = this.retryPolicyFor(requestOptions.method, retry);
+      let retried = false;
+      try {
+        if (!options.skipRefresh && recordActivity) {
+          await link.guard(this.refresh());
         }
-        if (xhr.readyState === 4 && xhr.status !== 200) {
-          this.uploadError = xhr.responseText;
-          reject(JSON.parse(xhr.responseText));
+
+        for (let attempt = 1; ; attempt++) {
+          let response;
+          let wait = null;
+          try {
+            response = await link.guard(
+              this.transport(
+                url,
+                buildOptions({ ...requestOptions, signal: link.signal })
+              )
+            );
+            if (
+              attempt < policy.attempts &&
+              policy.statuses.includes(response.status)
+            ) {
+              wait = retryDelay(policy, attempt, response);
+            }
+          } catch (e) {
+            // Network failure; an abort is never retried.
+            if (link.reason) throw e;
+            if (attempt >= policy.attempts) {
+              throw new NetworkError(e.message, { request });
+            }
+            wait = retryDelay(policy, attempt);
+          }
+
+          if (wait === null) {
+            const body = this.checkResponse(
+              schema,
+              await this.parseResponse(response, link, {
+                skip401,
+                silent,
+                request
+              }),
+              request
+            );
+            this.errors.delete(request.tag);
+            resolve(body);
+            return;
+          }
+
+          debug(
+            'retry %d/%d of %s in %dms (%s)',
+            attempt,
+            policy.attempts - 1,
+            url,
+            wait,
+            response ? response.status : 'network error'
+          );
+          if (!retried) {
+            retried = true;
+            this.retrying++;
+          }
+          await link.guard(delay(this.env.clock, wait));
         }
-      };
+      } catch (e) {
+        const error = link.reason || e;
+        if (!(error instanceof CancelError)) this.recordError(error);
+        reject(error);
+      } finally {
+        link.release();
+        if (retried) this.retrying--;
+      }
+    });
+  }
+
+  // `silent` requests still update `status`, but never overwrite the global `error` message.
+  async parseResponse (response, link, { skip401, silent, request }) {
+    if (response.ok) {
+      const body = await link.guard(response.json());
+      this.status = response.status;
+      if (!silent) this.error = '';
+      return body;
+    }
+
+    let body;
+    if (response.status === 504) {
+      // Specific handling for gateway timeout
+      const message = await link.guard(response.text());
+      body = { error: message || 'Gateway timeout' };
+    } else {
+      body = await link.guard(response.json());
+    }
+
+    if (skip401 && Number(response.status) === 401) {
+      this.status = 200;
+    } else this.status = response.status;
+    const error = errorFromResponse(response, body, request);
+    if (!silent) this.error = error.message;
+    throw error;
+  }
+
+  @action
+  recordError (error) {
+    const { tag } = error.request || {};
+    if (!tag) return;
+
+    // Re-inserting keeps the map ordered from oldest to newest.
+    this.errors.delete(tag);
+    this.errors.set(tag, error);
+    if (this.errors.size > MAX_RECENT_ERRORS) {
+      this.errors.delete(this.errors.keys().next().value);
+    }
+  }
+
+  errorFor (tag) {
+    return this.errors.get(tag);
+  }
 
-      Object.entries(data).forEach(([key, value]) => {
-        fd.append(key, JSON.stringify(value));
-      });
-      fd.append('file', file);
-      xhr.send(fd);
+  // Resolves with the response of a single upload and mirrors its progress onto `progress` and
+  // `uploadError`. Use `uploads.add()` to get the upload itself, with its own observable state.
+  @action
+  upload (url, file, options = {}, recordActivity = true) {
+    debug('upload(%s,%o,%o,%s)', url, file, options, recordActivity);
+
+    const upload = this.uploads.add(url, file, options, recordActivity);
+    const dispose = autorun(() => {
+      this.progress = upload.progress;
     });
+
+    return upload.promise
+      .then(
+        action(result => {
+          this.uploadError = '';
+          return result;
+        }),
+        action(error => {
+          if (!(error instanceof CancelError)) this.uploadError = error.message;
+          throw error;
+        })
+      )
+      .finally(dispose);
   }
 
   @action
@@ -188,63 +606,106 @@ export default class RESTStore {
     this.expired = false;
   }
 
+  // Without a tag, clears the global error state and the whole registry.
   @action
-  clearError () {
+  clearError (tag) {
+    if (tag) {
+      this.errors.delete(tag);
+      return;
+    }
     this.status = 200;
     this.error = '';
     this.uploadError = '';
+    this.errors.clear();
   }
 
   @action
-  async refresh () {
-    debug('refresh()');
+  async refresh (force = false) {
+    debug('refresh(%s)', force);
 
     // If we currently have a refresh call in progress, we should return that Promise as to prevent
     // a race condition where multiple refresh calls are occurring at the same time.
     if (this.refreshPromise) return this.refreshPromise;
 
     // The current token is still fresh
-    if (this.getLastRefresh() + ACCESS_TIMEOUT > Date.now()) return;
-
-    this.updateLastRefresh();
-    this.refreshPromise = new Promise(async (resolve, reject) => {
-      const response = await window.fetch(
-        '/api/auth/refresh',
-        buildOptions({ method: 'POST' })
-      );
-      if (response.status === 200) {
-        this.expired = false;
-        resolve();
-      } else {
-        this.expired = true;
-        const body = await response.json();
-        this.error = responseErrorMsg(response, body);
-        const error = new Error(this.error);
-        error.status = response.status;
-        error.body = body;
-        reject(error);
-      }
-    }).finally(() => {
+    if (
+      !force &&
+      this.getLastRefresh() + this.accessTimeout > this.env.clock.now()
+    ) {
+      return;
+    }
+
+    // Only the leader tab calls /api/auth/refresh, so tabs do not race each other for it.
+    // refreshSession() stamps the last refresh once the server has agreed to it.
+    this.refreshPromise = (this.tabSync.isLeader
+      ? this.refreshSession()
+      : this.followRefresh()
+    ).finally(() => {
       this.refreshPromise = null;
     });
 
     return this.refreshPromise;
   }
 
+  // Asks the leader tab to refresh, and refreshes from this tab if no answer comes back.
+  followRefresh () {
+    return this.tabSync.requestRefresh().then(
+      action(refreshed => {
+        if (!refreshed) return this.refreshSession();
+        this.expired = false;
+      }),
+      action(({ message }) => {
+        this.expired = true;
+        throw new AuthError(message, {
+          status: 401,
+          request: describeRequest('/api/auth/refresh', 'POST')
+        });
+      })
+    );
+  }
+
+  @action
+  async refreshSession () {
+    const request = describeRequest('/api/auth/refresh', 'POST');
+    let response;
+    try {
+      response = await this.transport(
+        request.url,
+        buildOptions({ method: 'POST' })
+      );
+    } catch (e) {
+      // Like request(), so callers can tell being offline from an expired session.
+      throw new NetworkError(e.message, { request });
+    }
+    if (response.status === 200) {
+      this.updateLastRefresh();
+      this.expired = false;
+      this.tabSync.broadcast('refresh');
+      return;
+    }
+
+    this.expired = true;
+    const body = await response.json();
+    const error = errorFromResponse(response, body, request);
+    this.error = error.message;
+    this.tabSync.broadcast('expired', { message: error.message });
+    throw error;
+  }
+
   // This information must be stored in local storage for cross browser tab syncing.
   // One tab refreshing and another one not knowing about it could lead to the user
   // being erroneously logged out.
   getLastRefresh () {
-    return Number(window.localStorage.getItem('auth.lastRefreshed'));
+    return Number(this.env.localStorage.getItem('auth.lastRefreshed'));
   }
 
   updateLastRefresh () {
     debug('updateLastRefresh()');
-    window.localStorage.setItem('auth.lastRefreshed', Date.now());
+    this.env.localStorage.setItem('auth.lastRefreshed', this.env.clock.now());
   }
 
   clearLastRefresh () {
     debug('clearLastRefresh()');
-    window.localStorage.removeItem('auth.lastRefreshed');
+    this.env.localStorage.removeItem('auth.lastRefreshed');
   }
 }
@@ -0,0 +1,85 @@
+const debug = require('debug')('model.ResponseCache');
+
+export default class ResponseCache {
+  entries = new Map();
+  pending = new Map();
+
+  constructor (clock = { now: () => Date.now() }) {
+    this.clock = clock;
+  }
+
+  lookup (key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    const now = this.clock.now();
+    if (now < entry.expiresAt) return { data: entry.data, stale: false };
+    if (now < entry.staleUntil) return { data: entry.data, stale: true };
+
+    this.entries.delete(key);
+    return undefined;
+  }
+
+  // Runs `load(signal)` unless the same key is already in flight, in which case that request is
+  // shared. The request is aborted once every caller that joined with a `signal` has aborted;
+  // callers without one keep it running. The result is kept for `ttl` ms, then served for
+  // another `staleWhileRevalidate` ms while a fresh copy loads.
+  load (key, load, { ttl = 0, staleWhileRevalidate = 0 } = {}, signal) {
+    let shared = this.pending.get(key);
+    if (shared) {
+      debug('load(%s) joining in-flight request', key);
+    } else {
+      shared = this.start(key, load, ttl, staleWhileRevalidate);
+    }
+
+    shared.callers++;
+    if (signal) {
+      const leave = () => {
+        shared.callers--;
+        if (shared.callers > 0) return;
+        // Later callers start afresh rather than join an aborted request.
+        if (this.pending.get(key) === shared) this.pending.delete(key);
+        shared.controller.abort();
+      };
+      const stop = () => signal.removeEventListener('abort', leave);
+      if (signal.aborted) leave();
+      else signal.addEventListener('abort', leave, { once: true });
+      shared.promise.then(stop, stop);
+    }
+    return shared.promise;
+  }
+
+  start (key, load, ttl, staleWhileRevalidate) {
+    const controller = new AbortController();
+    const shared = { controller, callers: 0 };
+    shared.promise = load(controller.signal)
+      .then(data => {
+        // Skip the write if the key was invalidated while the request was in flight.
+        if (ttl > 0 && this.pending.get(key) === shared) {
+          const now = this.clock.now();
+          this.entries.set(key, {
+            data,
+            expiresAt: now + ttl,
+            staleUntil: now + ttl + staleWhileRevalidate
+          });
+        }
+        return data;
+      })
+      .finally(() => {
+        if (this.pending.get(key) === shared) this.pending.delete(key);
+      });
+
+    this.pending.set(key, shared);
+    return shared;
+  }
+
+  invalidate (prefix = '') {
+    debug('invalidate(%s)', prefix);
+
+    [this.entries, this.pending].forEach(map =>
+      Array.from(map.keys())
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => map.delete(key))
+    );
+  }
+}
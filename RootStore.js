@@ -0,0 +1,116 @@
+import RESTStore from './RESTStore';
+import ConfigStore from './ConfigStore';
+import AuthStore from './AuthStore';
+import SponsorStore from './SponsorStore';
+import PolicyStore from './PolicyStore';
+import PasswordStore from './PasswordStore';
+import ProfileStore from './ProfileStore';
+import FeatureFlagStore from './FeatureFlagStore';
+import SponsorRoute from './SponsorRoute';
+import { browserEnvironment, testEnvironment } from './environment';
+
+const debug = require('debug')('model.RootStore');
+
+// Builds the stores in dependency order and owns their lifecycle. Each store is also available
+// on its own, e.g. `root.authStore`, for code that is handed a single store.
+export default class RootStore {
+  // `env` defaults to the browser's; `policy` is passed on to PolicyStore, `features` (e.g.
+  // `{ defaults }`) to FeatureFlagStore and `sponsorSearch` to SponsorSearch. With `sponsorRoute`
+  // options, e.g. `{}`, SponsorRoute keeps the sponsor in the URL; without, the URL is left to
+  // the app's router.
+  constructor ({
+    env = browserEnvironment(),
+    policy,
+    features,
+    sponsorSearch,
+    sponsorRoute = null
+  } = {}) {
+    debug('constructor()');
+
+    this.env = env;
+    this.restStore = new RESTStore(env);
+    this.configStore = new ConfigStore(this.restStore);
+    this.authStore = new AuthStore(this.restStore, this.configStore);
+    this.sponsorStore = new SponsorStore(
+      this.restStore,
+      this.configStore,
+      this.authStore,
+      { search: sponsorSearch }
+    );
+    this.policyStore = new PolicyStore(
+      this.authStore,
+      this.sponsorStore,
+      policy
+    );
+    this.passwordStore = new PasswordStore(
+      this.restStore,
+      this.configStore,
+      this.authStore
+    );
+    this.profileStore = new ProfileStore(this.restStore, this.authStore);
+    this.featureFlagStore = new FeatureFlagStore(
+      this.restStore,
+      this.configStore,
+      this.authStore,
+      this.sponsorStore,
+      features
+    );
+    this.sponsorRoute = sponsorRoute
+      ? new SponsorRoute(this.sponsorStore, sponsorRoute)
+      : null;
+  }
+
+  // A root store for unit tests in Node: requests go to `fetch`, storage is in memory unless
+  // given, and time only moves with `clock.advance()`. See testEnvironment() for the options.
+  static forTesting (options = {}) {
+    return new RootStore({ ...options, env: testEnvironment(options) });
+  }
+
+  // Puts back the state saved on the last visit, then loads fresh config and the account, one
+  // after the other since the account depends on the config. The app can render as soon as
+  // `configStore.initialized` turns on, which may be before this resolves.
+  init ({ restore = true } = {}) {
+    debug('init(%s)', restore);
+
+    const restored = restore
+      ? this.configStore
+          .restore()
+          .then(() => this.authStore.restore())
+          .then(() => this.sponsorStore.restore())
+          .then(() => this.featureFlagStore.restore())
+      : Promise.resolve();
+
+    return restored
+      .then(() => this.configStore.init())
+      .then(() => this.authStore.authenticate());
+  }
+
+  // Returns every store to its initial state without touching the server, as after a logout.
+  // Saved state is cleared too.
+  reset () {
+    debug('reset()');
+
+    this.authStore.reset();
+    this.sponsorStore.reset();
+    this.featureFlagStore.clear();
+    this.configStore.destroy();
+    this.passwordStore.reset();
+    this.profileStore.clear();
+    this.restStore.reset();
+  }
+
+  // Stops every reaction, timer and listener the stores started, in reverse order of creation.
+  // Needed between tests and on hot reloads; the stores cannot be used afterwards.
+  dispose () {
+    debug('dispose()');
+
+    if (this.sponsorRoute) this.sponsorRoute.dispose();
+    this.featureFlagStore.dispose();
+    this.profileStore.dispose();
+    this.sponsorStore.dispose();
+    this.authStore.dispose();
+    this.authStore.policy = null;
+    this.configStore.dispose();
+    this.restStore.dispose();
+  }
+}
@@ -0,0 +1,187 @@
+import { observable, computed, action, reaction } from 'mobx';
+
+const debug = require('debug')('model.SponsorResource');
+
+// The All Sponsors view has no sponsor id of its own.
+const ALL_SPONSORS_KEY = '*';
+
+// Data that belongs to one sponsor at a time, e.g. a sponsor's reports. Entries are kept per
+// sponsor id, so one sponsor's data never shows under another. Nothing loads until load() is
+// first called; from then on a sponsor switch loads the new sponsor's data unless it is still
+// warm. The `maxSponsors` most recently used sponsors stay warm, for `ttl` ms if given, and
+// logging out clears everything.
+//
+// `loader(sponsor, { signal })` resolves with the data. Create one with
+// SponsorStore.createSponsorResource().
+export default class SponsorResource {
+  // sponsor id -> { data, status, error, loadedAt }, where status is loading | loaded | failed.
+  @observable entries = observable.map();
+
+  started = false;
+  recent = [];
+  controllers = new Map();
+  pending = new Map();
+
+  constructor (sponsorStore, loader, { maxSponsors = 3, ttl = 0 } = {}) {
+    debug('constructor()');
+
+    this.sponsorStore = sponsorStore;
+    this.loader = loader;
+    this.maxSponsors = maxSponsors;
+    this.ttl = ttl;
+    this.clock = sponsorStore.restStore.env.clock;
+
+    this.disposers = [
+      reaction(
+        () => this.key,
+        () => {
+          if (this.started && sponsorStore.authStore.isLoggedIn) {
+            this.load().catch(err => debug('load on switch failed: %o', err));
+          }
+        }
+      ),
+      reaction(
+        () => sponsorStore.authStore.isLoggedIn,
+        isLoggedIn => isLoggedIn || this.clear()
+      )
+    ];
+  }
+
+  @computed
+  get key () {
+    return this.sponsorStore.sponsor.id || ALL_SPONSORS_KEY;
+  }
+
+  @computed
+  get entry () {
+    return this.entries.get(this.key);
+  }
+
+  @computed
+  get data () {
+    return this.entry ? this.entry.data : undefined;
+  }
+
+  // idle | loading | loaded | failed, for the active sponsor.
+  @computed
+  get status () {
+    return this.entry ? this.entry.status : 'idle';
+  }
+
+  @computed
+  get error () {
+    return this.entry ? this.entry.error : null;
+  }
+
+  isWarm (key) {
+    const entry = this.entries.get(key);
+    return (
+      !!entry &&
+      entry.status === 'loaded' &&
+      (!this.ttl || this.clock.now() - entry.loadedAt < this.ttl)
+    );
+  }
+
+  // Resolves with the active sponsor's data, loading it unless it is warm or `force` is set.
+  @action
+  load ({ force = false } = {}) {
+    this.started = true;
+    const sponsor = this.sponsorStore.sponsor;
+    const key = this.key;
+    this.touch(key);
+
+    if (!force && this.isWarm(key)) {
+      return Promise.resolve(this.entries.get(key).data);
+    }
+    if (!force && this.pending.has(key)) return this.pending.get(key);
+
+    debug('load(%s)', key);
+    this.abort(key);
+    const controller = new AbortController();
+    this.controllers.set(key, controller);
+    this.update(key, { status: 'loading', error: null });
+
+    const promise = Promise.resolve()
+      .then(() => this.loader(sponsor, { signal: controller.signal }))
+      .then(
+        action(data => {
+          if (this.controllers.get(key) !== controller) return data;
+          this.update(key, {
+            data,
+            status: 'loaded',
+            error: null,
+            loadedAt: this.clock.now()
+          });
+          return data;
+        }),
+        action(error => {
+          if (this.controllers.get(key) === controller) {
+            this.update(key, { status: 'failed', error });
+          }
+          throw error;
+        })
+      )
+      .finally(() => {
+        if (this.controllers.get(key) === controller) {
+          this.controllers.delete(key);
+          this.pending.delete(key);
+        }
+      });
+    this.pending.set(key, promise);
+    return promise;
+  }
+
+  // Keeps the previous data of an entry while it reloads.
+  @action
+  update (key, changes) {
+    this.entries.set(key, {
+      data: undefined,
+      ...this.entries.get(key),
+      ...changes
+    });
+  }
+
+  // Moves `key` to the front and drops the least recently used sponsors beyond `maxSponsors`.
+  @action
+  touch (key) {
+    this.recent = [key, ...this.recent.filter(k => k !== key)];
+    this.recent.slice(this.maxSponsors).forEach(evicted => {
+      debug('evicting %s', evicted);
+      this.abort(evicted);
+      this.entries.delete(evicted);
+    });
+    this.recent = this.recent.slice(0, this.maxSponsors);
+  }
+
+  abort (key) {
+    const controller = this.controllers.get(key);
+    if (controller) controller.abort();
+    this.controllers.delete(key);
+    this.pending.delete(key);
+  }
+
+  // Without an id, every sponsor's data goes; the active sponsor's reloads on the next load().
+  @action
+  invalidate (sponsorId) {
+    const keys = sponsorId ? [sponsorId] : Array.from(this.entries.keys());
+    keys.forEach(key => {
+      this.abort(key);
+      this.entries.delete(key);
+    });
+  }
+
+  @action
+  clear () {
+    debug('clear()');
+
+    this.invalidate();
+    this.recent = [];
+    this.started = false;
+  }
+
+  dispose () {
+    this.clear();
+    this.disposers.forEach(dispose => dispose());
+    this.disposers = [];
+  }
+}
@@ -0,0 +1,175 @@
+import { action, reaction } from 'mobx';
+import { listen } from './environment';
+
+const debug = require('debug')('model.SponsorRoute');
+
+// Keeps a deep-linked sponsor through the SSO round trip, which comes back to the callback URL
+// without the link's parameters.
+const REQUESTED_KEY = 'requestedSponsorId';
+
+// Where the sponsor id goes in the URL: a query parameter, e.g. `?sponsor=CM_ACME`...
+export const queryParam = (name = 'sponsor') => ({
+  read: href => new URL(href).searchParams.get(name),
+  write: (href, sponsorId) => {
+    const url = new URL(href);
+    if (sponsorId) url.searchParams.set(name, sponsorId);
+    else url.searchParams.delete(name);
+    return url.href;
+  }
+});
+
+// ...or the path segment after `prefix`, e.g. `/sponsors/` in `/sponsors/CM_ACME/reports`. The
+// All Sponsors view is `all`. URLs outside `prefix` are left alone.
+export const pathSegment = (prefix, all = 'all') => ({
+  read: href => {
+    const { pathname } = new URL(href);
+    if (!pathname.startsWith(prefix)) return null;
+    const segment = decodeURIComponent(
+      pathname.slice(prefix.length).split('/')[0]
+    );
+    return segment && segment !== all ? segment : null;
+  },
+  write: (href, sponsorId) => {
+    const url = new URL(href);
+    if (!url.pathname.startsWith(prefix)) return href;
+    const rest = url.pathname.slice(prefix.length).split('/').slice(1);
+    const segment = sponsorId ? encodeURIComponent(sponsorId) : all;
+    url.pathname = prefix + [segment, ...rest].join('/');
+    return url.href;
+  }
+});
+
+// Two-way sync between the selected sponsor and the URL, so links open in the sponsor they were
+// shared from. A sponsor in the URL is requested through SponsorStore.requestedSponsor and
+// switched to once the user is logged in; for one the user cannot select, SponsorStore falls
+// back to the default sponsor and keeps the id in `forbiddenSponsor`. Sponsor switches are
+// written back with replaceState, or pushState with `push` so the back button returns to the
+// previous sponsor.
+//
+// Only multi-sponsor sites are synced.
+export default class SponsorRoute {
+  constructor (sponsorStore, { url = queryParam(), push = false } = {}) {
+    debug('constructor()');
+
+    this.sponsorStore = sponsorStore;
+    this.env = sponsorStore.restStore.env;
+    this.url = url;
+    this.push = push;
+    const { authStore, configStore } = sponsorStore;
+
+    this.request(this.read() || this.env.sessionStorage.getItem(REQUESTED_KEY));
+
+    this.disposers = [
+      reaction(
+        () =>
+          authStore.isReady &&
+          configStore.initialized &&
+          sponsorStore.requestedSponsor,
+        requested => requested && this.follow(),
+        { fireImmediately: true }
+      ),
+      // Held back while a switch or request is pending, and after a forbidden one, so the URL
+      // keeps showing what was asked for.
+      reaction(
+        () =>
+          authStore.isReady &&
+          sponsorStore.multiSponsor &&
+          sponsorStore.requestedSponsor === undefined &&
+          sponsorStore.forbiddenSponsor === null &&
+          sponsorStore.switchStatus !== 'switching'
+            ? sponsorStore.sponsor.id || ''
+            : null,
+        sponsorId => sponsorId !== null && this.write(sponsorId)
+      ),
+      listen(this.env, 'popstate', () => this.sync())
+    ];
+  }
+
+  // Back and forward. An entry without a sponsor goes back to the user's default sponsor, or
+  // All Sponsors for global admins.
+  sync () {
+    const sponsorId = this.read();
+    if (sponsorId) {
+      this.request(sponsorId);
+      return;
+    }
+
+    const { sponsorStore } = this;
+    if (
+      sponsorStore.authStore.isReady &&
+      sponsorStore.multiSponsor &&
+      sponsorStore.selectedSponsor
+    ) {
+      sponsorStore
+        .switchSponsor(null)
+        .catch(err => debug('sync() failed: %o', err));
+    }
+  }
+
+  read () {
+    return this.env.location ? this.url.read(this.env.location.href) : null;
+  }
+
+  // The current URL, pointing at `sponsorId` instead, for sharing.
+  linkTo (sponsorId) {
+    return this.env.location
+      ? this.url.write(this.env.location.href, sponsorId)
+      : null;
+  }
+
+  write (sponsorId) {
+    const { location, history } = this.env;
+    if (!location || !history) return;
+    const next = this.url.write(location.href, sponsorId);
+    if (next === location.href) return;
+
+    debug('write(%s)', sponsorId);
+    if (this.push) history.pushState(null, '', next);
+    else history.replaceState(history.state, '', next);
+  }
+
+  @action
+  request (sponsorId) {
+    if (!sponsorId) return;
+    debug('request(%s)', sponsorId);
+
+    this.sponsorStore.requestedSponsor = sponsorId;
+    this.env.sessionStorage.setItem(REQUESTED_KEY, sponsorId);
+  }
+
+  // Switches to the requested sponsor, or the default one if it is forbidden or the switch
+  // fails: SponsorStore skipped the default switch at login for it, so the server context has to
+  // be set either way. Resolves with the sponsor, or null if no switch succeeded.
+  @action
+  follow () {
+    const { sponsorStore } = this;
+    const { requestedSponsor: requested, selectedSponsor } = sponsorStore;
+    debug('follow(%s)', requested);
+
+    this.env.sessionStorage.removeItem(REQUESTED_KEY);
+    // Only a sponsor actually selected is known to be the server's; sponsors[0] is merely shown
+    // until then.
+    if (
+      !sponsorStore.multiSponsor ||
+      (selectedSponsor && requested === selectedSponsor.id)
+    ) {
+      sponsorStore.cancelRequestedSponsor();
+      return Promise.resolve(sponsorStore.sponsor);
+    }
+    return sponsorStore
+      .processSponsorChange(this.env.sessionStorage)
+      .then(
+        selected =>
+          selected ||
+          sponsorStore.switchSponsor(sponsorStore.defaultSponsor).catch(err => {
+            debug('follow(%s) failed: %o', requested, err);
+            return null;
+          })
+      );
+  }
+
+  dispose () {
+    this.disposers.forEach(dispose => dispose());
+    this.disposers = [];
+  }
+}
@@ -0,0 +1,315 @@
+import { observable, computed, action, reaction } from 'mobx';
+import { sponsorPageSchema } from './schemas';
+
+const debug = require('debug')('model.SponsorSearch');
+
+const PAGE_SIZE = 20;
+// How many sponsors `recent` and `frequent` list, and how many are tracked at all.
+const SHORTLIST_SIZE = 5;
+const MAX_TRACKED = 50;
+const STORAGE_PREFIX = 'sponsors.';
+
+// How well `query` matches `text`, from 0 (not at all) up to 3: a prefix beats a substring,
+// which beats the letters merely appearing in order, the more spread out the worse.
+export const fuzzyScore = (query, text) => {
+  const q = query.trim().toLowerCase();
+  const t = (text || '').toLowerCase();
+  if (!q) return 1;
+
+  const index = t.indexOf(q);
+  if (index === 0) return 3;
+  if (index > 0) return 2 - index / t.length;
+
+  let position = -1;
+  let gaps = 0;
+  for (const char of q) {
+    const next = t.indexOf(char, position + 1);
+    if (next < 0) return 0;
+    if (position >= 0) gaps += next - position - 1;
+    position = next;
+  }
+  return 1 / (1 + gaps);
+};
+
+const sponsorScore = (query, { id, name }) =>
+  Math.max(fuzzyScore(query, name), fuzzyScore(query, id));
+
+// Searching, paging and shortlists for the sponsor picker, for sites whose global admins have
+// hundreds of sponsors. Searches the user's sponsors locally, or asks /api/sponsors when created
+// with `remote`. Results load a page at a time; loadMore() appends the next one.
+//
+// Switches are counted to offer recently and frequently used sponsors, and users can mark
+// favorites. Both are kept in localStorage per user; while impersonating, that is the support
+// user, not the customer.
+export default class SponsorSearch {
+  @observable query = '';
+  @observable.ref results = [];
+  @observable total = 0;
+  @observable loading = false;
+  @observable error = null;
+  @observable.ref favorites = [];
+  // sponsor id -> { count, lastUsed }
+  @observable.ref usage = {};
+
+  seq = 0;
+  repo = undefined;
+
+  constructor (sponsorStore, { remote = false, pageSize = PAGE_SIZE } = {}) {
+    debug('constructor()');
+
+    this.sponsorStore = sponsorStore;
+    this.restStore = sponsorStore.restStore;
+    this.remote = remote;
+    this.pageSize = pageSize;
+
+    this.disposers = [
+      reaction(
+        () => this.owner,
+        owner => {
+          this.clear();
+          this.load(owner);
+        },
+        { fireImmediately: true }
+      ),
+      sponsorStore.onAfterSwitch(({ to, error }) => {
+        if (!error && to && to.id) this.recordUse(to.id);
+      })
+    ];
+  }
+
+  // The signed-in user, whom the favorites and usage belong to.
+  @computed
+  get owner () {
+    const { realUser, username } = this.sponsorStore.authStore;
+    return realUser ? realUser.username : username;
+  }
+
+  @computed
+  get hasMore () {
+    return this.results.length < this.total;
+  }
+
+  // The results so far, split by sponsor type.
+  @computed
+  get groups () {
+    return {
+      community: this.results.filter(({ isCommunity }) => isCommunity),
+      enterprise: this.results.filter(({ isEnterprise }) => isEnterprise)
+    };
+  }
+
+  @computed
+  get sponsorsById () {
+    return new Map(
+      this.sponsorStore.sponsors.map(sponsor => [sponsor.id, sponsor])
+    );
+  }
+
+  // The shortlists only offer sponsors the user can still select.
+  pick (ids) {
+    return ids
+      .map(id => this.sponsorsById.get(id))
+      .filter(Boolean)
+      .slice(0, SHORTLIST_SIZE);
+  }
+
+  @computed
+  get recent () {
+    return this.pick(
+      Object.keys(this.usage).sort(
+        (a, b) => this.usage[b].lastUsed - this.usage[a].lastUsed
+      )
+    );
+  }
+
+  @computed
+  get frequent () {
+    return this.pick(
+      Object.keys(this.usage).sort(
+        (a, b) => this.usage[b].count - this.usage[a].count
+      )
+    );
+  }
+
+  @computed
+  get favoriteSponsors () {
+    return this.favorites.map(id => this.sponsorsById.get(id)).filter(Boolean);
+  }
+
+  isFavorite (sponsorId) {
+    return this.favorites.includes(sponsorId);
+  }
+
+  // Starts a new search and resolves with its first page. `repo` is passed on to /api/sponsors
+  // and ignored by local searches.
+  @action
+  search (query = this.query, { repo } = {}) {
+    debug('search(%s, %s)', query, repo);
+
+    this.seq++;
+    this.query = query;
+    this.repo = repo;
+    this.results = [];
+    this.total = 0;
+    return this.loadPage(0);
+  }
+
+  // Appends the next page; resolves with every result so far.
+  @action
+  loadMore () {
+    if (this.loading || !this.hasMore) return Promise.resolve(this.results);
+    return this.loadPage(Math.ceil(this.results.length / this.pageSize));
+  }
+
+  @action
+  loadPage (page) {
+    const seq = this.seq;
+    this.loading = true;
+    this.error = null;
+
+    return this.fetchPage(this.query, page).then(
+      action(({ items, total }) => {
+        if (seq !== this.seq) return this.results;
+        this.results = [...this.results, ...items];
+        this.total = total;
+        this.loading = false;
+        return this.results;
+      }),
+      action(error => {
+        if (seq === this.seq) {
+          this.error = error;
+          this.loading = false;
+        }
+        throw error;
+      })
+    );
+  }
+
+  // Every sponsor matching `query`, without paging or touching the search state. Without a
+  // query, all of them in their usual order.
+  findAll (query, { repo } = {}) {
+    if (this.remote) {
+      const collect = (page, found) =>
+        this.fetchPage(query, page, repo).then(({ items, total }) => {
+          const all = [...found, ...items];
+          return items.length && all.length < total
+            ? collect(page + 1, all)
+            : all;
+        });
+      return collect(0, []);
+    }
+    return Promise.resolve(this.matches(query));
+  }
+
+  matches (query) {
+    const { sponsors } = this.sponsorStore;
+    if (!query.trim()) return sponsors;
+    return sponsors
+      .map(sponsor => ({ sponsor, score: sponsorScore(query, sponsor) }))
+      .filter(({ score }) => score > 0)
+      .sort(
+        (a, b) =>
+          b.score - a.score || a.sponsor.name.localeCompare(b.sponsor.name)
+      )
+      .map(({ sponsor }) => sponsor);
+  }
+
+  // Resolves with `{ items, total }` for one page of `query`.
+  fetchPage (query, page, repo = this.repo) {
+    if (!this.remote) {
+      const matches = this.matches(query);
+      const start = page * this.pageSize;
+      return Promise.resolve({
+        items: matches.slice(start, start + this.pageSize),
+        total: matches.length
+      });
+    }
+
+    const params = new URLSearchParams({
+      q: query,
+      page,
+      size: this.pageSize
+    });
+    if (repo) params.set('repo', repo);
+    return this.restStore
+      .fetch(`/api/sponsors?${params}`, { schema: sponsorPageSchema })
+      .then(({ items, total }) => ({
+        items: items.map(({ URL, NAME }) =>
+          this.sponsorStore.appendTypeFlags({
+            id: URL.substr(URL.lastIndexOf('/') + 1),
+            url: URL,
+            name: NAME
+          })
+        ),
+        total
+      }));
+  }
+
+  @action
+  recordUse (sponsorId) {
+    const previous = this.usage[sponsorId] || { count: 0 };
+    const usage = {
+      ...this.usage,
+      [sponsorId]: {
+        count: previous.count + 1,
+        lastUsed: this.restStore.env.clock.now()
+      }
+    };
+    Object.keys(usage)
+      .sort((a, b) => usage[b].lastUsed - usage[a].lastUsed)
+      .slice(MAX_TRACKED)
+      .forEach(id => delete usage[id]);
+    this.usage = usage;
+    this.save();
+  }
+
+  @action
+  toggleFavorite (sponsorId) {
+    this.favorites = this.isFavorite(sponsorId)
+      ? this.favorites.filter(id => id !== sponsorId)
+      : [...this.favorites, sponsorId];
+    this.save();
+  }
+
+  @action
+  load (owner) {
+    if (!owner) return;
+    try {
+      const saved =
+        JSON.parse(
+          this.restStore.env.localStorage.getItem(STORAGE_PREFIX + owner)
+        ) || {};
+      this.favorites = saved.favorites || [];
+      this.usage = saved.usage || {};
+    } catch (e) {
+      debug('load() failed: %o', e);
+    }
+  }
+
+  save () {
+    if (!this.owner) return;
+    this.restStore.env.localStorage.setItem(
+      STORAGE_PREFIX + this.owner,
+      JSON.stringify({ favorites: this.favorites, usage: this.usage })
+    );
+  }
+
+  // Forgets the results and the shortlists in memory; what is saved for the user stays.
+  @action
+  clear () {
+    this.seq++;
+    this.query = '';
+    this.repo = undefined;
+    this.results = [];
+    this.total = 0;
+    this.loading = false;
+    this.error = null;
+    this.favorites = [];
+    this.usage = {};
+  }
+
+  dispose () {
+    this.disposers.forEach(dispose => dispose());
+    this.disposers = [];
+  }
+}
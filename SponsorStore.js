@@ -1,39 +1,123 @@
-import { computed, observable, autorun, action } from 'mobx';
+import { computed, observable, autorun, action, untracked } from 'mobx';
+import Persistence from './Persistence';
+import { CancelError, ForbiddenSponsorError } from './errors';
+import { describeRequest } from './requestHelpers';
+import SponsorResource from './SponsorResource';
+import SponsorSearch from './SponsorSearch';
 
 const debug = require('debug')('model.SponsorStore');
 
 const ALL_SPONSORS = { name: 'All Sponsors' };
 
+// What a switch that was overtaken by a later one settles with before it takes the later
+// one's outcome.
+const SUPERSEDED = {};
+
 export default class SponsorStore {
   @observable selectedSponsor = null;
-  @observable isTranslationEnabled = false;
   @observable loading = false;
   @observable requestedSponsor;
-
-  constructor(restStore, configStore, authStore) {
+  // idle | switching | switched | failed | cancelled | forbidden
+  @observable switchStatus = 'idle';
+  @observable switchError = null;
+  @observable pendingSponsor = null;
+  // The id of a sponsor that was requested but is not available to the user.
+  @observable forbiddenSponsor = null;
+  // Set by FeatureFlagStore.
+  featureFlags = null;
+
+  switchSeq = 0;
+  switchQueue = Promise.resolve();
+  lastSwitch = null;
+  switchController = null;
+  beforeSwitchHooks = [];
+  afterSwitchHooks = [];
+  resources = [];
+
+  // `search` options go to SponsorSearch, e.g. `{ remote: true }`.
+  constructor(restStore, configStore, authStore, { search } = {}) {
     debug('constructor()');
 
     this.restStore = restStore;
     this.configStore = configStore;
     this.authStore = authStore;
-
-    autorun(() => {
-      debug('autorun triggered for %s', authStore.sponsor);
-      if (authStore.isReady)
-        if (this.multiSponsor) {
-          if (authStore.sponsor) {
-            this.sponsor = configStore.sponsors.find(
-              ({ url }) => url === authStore.sponsor
-            );
-          } else {
-            this.sponsor = null;
-          }
-        } else this.enableTranslations();
+    this.search = new SponsorSearch(this, search);
+    // The selected sponsor picks ConfigStore's sponsor layer.
+    configStore.sponsorStore = this;
+    // Shared by every tab, like the server-side sponsor context it mirrors, so a new tab opens
+    // in the sponsor the others are in.
+    this.persistence = new Persistence(this, {
+      key: 'sponsor',
+      env: restStore.env,
+      fields: ['selectedSponsor'],
+      storage: 'local',
+      version: 1,
+      when: () => authStore.isReady,
     });
+
+    this.disposers = [
+      autorun(() => {
+        debug('autorun triggered for %s', authStore.sponsor);
+        if (authStore.isReady && this.multiSponsor) {
+          // A deep-linked sponsor is switched to instead; SponsorRoute.follow() falls back to
+          // the default if that fails.
+          if (untracked(() => this.requestedSponsor) !== undefined) return;
+          this.sponsor = this.defaultSponsor;
+        }
+      }),
+      // Another tab switched sponsor. The server context is shared by the tabs, so it is
+      // already active and only the selection here has to follow.
+      restStore.tabSync.on('sponsor', ({ url }) => {
+        if (!authStore.isReady || !this.multiSponsor) return;
+        const sponsor = configStore.sponsors.find(
+          (candidate) => candidate.url === url
+        );
+        this.applySponsor(sponsor ? { ...sponsor } : null);
+      }),
+    ];
+  }
+
+  dispose() {
+    this.disposers.forEach((dispose) => dispose());
+    this.disposers = [];
+    this.resources.forEach((resource) => resource.dispose());
+    this.resources = [];
+    this.search.dispose();
+    this.persistence.dispose();
+  }
+
+  // Data held per sponsor and swapped as the sponsor changes, see SponsorResource.
+  createSponsorResource(loader, options) {
+    const resource = new SponsorResource(this, loader, options);
+    this.resources.push(resource);
+    return resource;
+  }
+
+  @action
+  reset() {
+    this.cancelSwitch();
+    this.switchStatus = 'idle';
+    this.switchError = null;
+    this.forbiddenSponsor = null;
+    this.selectedSponsor = null;
+    this.loading = false;
+    this.requestedSponsor = undefined;
+    this.resources.forEach((resource) => resource.clear());
+    this.persistence.clear();
+  }
+
+  // Call after authStore.restore(); the selection only comes back along with the login.
+  @action
+  restore() {
+    return (this.authStore.isLoggedIn
+      ? Promise.resolve()
+      : this.persistence.clear()
+    ).then(() => this.persistence.rehydrate());
   }
 
+  // Like setSponsor(), never rejects.
   processSponsorChange = (sessionStorage) => {
-    this.setSponsor(this.requestedSponsor, sessionStorage)
+    return this.setSponsor(this.requestedSponsor, sessionStorage);
   }
 
   cancelRequestedSponsor = () => {
@@ -64,6 +148,14 @@ export default class SponsorStore {
     return global;
   }
 
+  // The sponsor saved on the account, or null for the one resolveSponsor() picks.
+  @computed
+  get defaultSponsor() {
+    const { sponsor } = this.authStore;
+    if (!sponsor) return null;
+    return this.configStore.sponsors.find(({ url }) => url === sponsor) || null;
+  }
+
   @computed
   get hasSponsor() {
     return (
@@ -71,45 +163,178 @@ export default class SponsorStore {
     );
   }
 
+  // Kept for existing callers; it cannot be awaited. Use switchSponsor(). A sponsor the user
+  // cannot select ends in the `forbidden` status rather than throwing.
   set sponsor(sponsor) {
     debug('set sponsor(%o)', sponsor);
-    let selectedSponsor;
-    this.loading = true;
+    this.switchSponsor(sponsor).catch((err) => debug(err));
+  }
+
+  // `target` is a sponsor id, a sponsor, or null for the user's default sponsor. Throws a
+  // ForbiddenSponsorError for a sponsor that is unknown or not among the user's, and an Error on
+  // a single-sponsor site.
+  resolveSponsor(target) {
     if (!this.multiSponsor) {
-      this.loading = false;
       throw new Error('Cannot change sponsor for single-sponsor site');
     }
+    if (!target) {
+      return this.authStore.sponsors.length ? this.sponsors[0] : null;
+    }
 
-    if (!sponsor) {
-      selectedSponsor = this.authStore.sponsors.length
-        ? this.sponsors[0]
-        : null;
-    } else {
-      if (!this.configStore.sponsors.find(({ url }) => url === sponsor.url)) {
-        this.loading = false;
-        throw new Error('Unknown sponsor');
-      }
+    const matches = ({ id, url }) =>
+      typeof target === 'object' ? url === target.url : id === target;
+    if (!this.sponsors.some(matches)) {
+      throw new ForbiddenSponsorError(
+        typeof target === 'object' ? target.id : target
+      );
+    }
+    return { ...this.configStore.sponsors.find(matches) };
+  }
+
+  // Switches the server-side sponsor context and resolves with the new sponsor. Switches run one
+  // at a time: one requested while another is in flight waits for it, and is skipped if yet
+  // another comes in meanwhile, in which case it settles like that last one. One skipped by
+  // cancelSwitch() with nothing newer to wait for rejects with a CancelError. On failure the
+  // previous sponsor stays selected and the promise rejects; `switchStatus` and `switchError`
+  // say what happened.
+  //
+  // Before-switch hooks run first and may return a promise; one that throws stops the switch.
+  // After-switch hooks run once it is over, with `error` set if it failed.
+  @action
+  switchSponsor(target) {
+    debug('switchSponsor(%o)', target);
 
-      selectedSponsor = { ...sponsor };
+    let sponsor;
+    try {
+      sponsor = this.resolveSponsor(target);
+    } catch (err) {
+      // It never started, so a switch in flight keeps its own status.
+      if (err instanceof ForbiddenSponsorError) this.sponsorForbidden(err);
+      else if (this.switchStatus !== 'switching') this.switchFailed(err);
+      return Promise.reject(err);
     }
 
-    this.restStore
-      .fetch('/api/auth/context', {
+    const seq = ++this.switchSeq;
+    this.switchStatus = 'switching';
+    this.switchError = null;
+    this.forbiddenSponsor = null;
+    this.pendingSponsor = sponsor;
+    this.loading = true;
+
+    const run = this.switchQueue.then(() =>
+      seq === this.switchSeq ? this.performSwitch(sponsor, seq) : SUPERSEDED
+    );
+    this.switchQueue = run.catch(() => undefined);
+    const result = run.then((outcome) => {
+      if (outcome !== SUPERSEDED) return outcome;
+      if (this.lastSwitch.seq > seq) return this.lastSwitch.promise;
+      throw new CancelError(describeRequest('/api/auth/context', 'POST'));
+    });
+    this.lastSwitch = { seq, promise: result };
+    return result;
+  }
+
+  async performSwitch(sponsor, seq) {
+    const from = this.selectedSponsor;
+    const change = { from, to: sponsor };
+    this.switchController = new AbortController();
+    try {
+      await Promise.all(this.beforeSwitchHooks.map((hook) => hook(change)));
+      await this.restStore.fetch('/api/auth/context', {
         method: 'POST',
         body: JSON.stringify({
-          sponsor: (selectedSponsor || {}).url,
+          sponsor: (sponsor || {}).url,
         }),
-      })
-      .then(
-        action(() => {
-          if (selectedSponsor && selectedSponsor.id)
-            sessionStorage.setItem('selectedSponsorId', selectedSponsor.id);
-          else sessionStorage.removeItem('selectedSponsorId');
-          this.selectedSponsor = selectedSponsor;
-          this.loading = false;
-          this.enableTranslations();
-        })
-      );
+        signal: this.switchController.signal,
+        offline: false,
+      });
+    } catch (error) {
+      this.switchFailed(error, seq);
+      this.afterSwitchHooks.forEach((hook) => hook({ ...change, error }));
+      throw error;
+    }
+
+    this.switched(sponsor, seq);
+    this.afterSwitchHooks.forEach((hook) => hook({ ...change, error: null }));
+    return this.sponsor;
+  }
+
+  @action
+  switched(sponsor, seq) {
+    this.applySponsor(sponsor);
+    this.restStore.tabSync.broadcast('sponsor', {
+      url: (sponsor || {}).url,
+    });
+    if (seq === this.switchSeq) {
+      this.switchStatus = 'switched';
+      this.pendingSponsor = null;
+      this.loading = false;
+    }
+  }
+
+  // Nothing was applied yet, so the previous sponsor simply stays selected.
+  @action
+  switchFailed(error, seq = this.switchSeq) {
+    debug('switchFailed(%o)', error);
+
+    if (seq !== this.switchSeq) return;
+    this.switchStatus = error instanceof CancelError ? 'cancelled' : 'failed';
+    this.switchError = error instanceof CancelError ? null : error;
+    this.pendingSponsor = null;
+    this.loading = false;
+  }
+
+  // Kept apart from the switch in flight, which finishes as it would have; `forbiddenSponsor`
+  // stays set until another switch starts.
+  @action
+  sponsorForbidden(error) {
+    debug('sponsorForbidden(%s)', error.sponsorId);
+
+    this.forbiddenSponsor = error.sponsorId;
+    if (this.switchStatus === 'switching') return;
+    this.switchStatus = 'forbidden';
+    this.switchError = error;
+  }
+
+  // Stops the switch in flight and any waiting one; the current sponsor stays selected.
+  @action
+  cancelSwitch() {
+    debug('cancelSwitch()');
+
+    this.switchSeq++;
+    if (this.switchController) this.switchController.abort();
+    if (this.switchStatus === 'switching') {
+      this.switchStatus = 'cancelled';
+      this.pendingSponsor = null;
+      this.loading = false;
+    }
+  }
+
+  // Both return a function that removes the hook again.
+  onBeforeSwitch(hook) {
+    this.beforeSwitchHooks.push(hook);
+    return () => {
+      this.beforeSwitchHooks = this.beforeSwitchHooks.filter((h) => h !== hook);
+    };
+  }
+
+  onAfterSwitch(hook) {
+    this.afterSwitchHooks.push(hook);
+    return () => {
+      this.afterSwitchHooks = this.afterSwitchHooks.filter((h) => h !== hook);
+    };
+  }
+
+  // Takes on a sponsor context that is already active on the server.
+  @action
+  applySponsor(selectedSponsor) {
+    // Responses cached under the previous sponsor context are no longer valid.
+    this.restStore.invalidate();
+    const { sessionStorage } = this.restStore.env;
+    if (selectedSponsor && selectedSponsor.id)
+      sessionStorage.setItem('selectedSponsorId', selectedSponsor.id);
+    else sessionStorage.removeItem('selectedSponsorId');
+    this.selectedSponsor = selectedSponsor;
   }
 
   @computed
@@ -155,50 +380,53 @@ export default class SponsorStore {
       .map((sponsor) => this.appendTypeFlags(sponsor));
   }
 
-  @action
+  // The `translation` feature flag, see FeatureFlagStore.
+  @computed
+  get isTranslationEnabled() {
+    return !!this.featureFlags && this.featureFlags.isEnabled('translation');
+  }
+
+  // Kept for existing callers; the flags reload by themselves on login and sponsor changes.
   enableTranslations() {
-    debug('Enable Translations(%o,%s)');
-    const { id } = this.sponsor;
-    this.isTranslationEnabled = false;
-    return this.restStore
-      .fetch(`/api/auth/enableTranslation`, {
-        method: 'GET',
-      })
-      .then(
-        action((sponsor) => {
-          if (this.multiSponsor) {
-            if (!this.hasSponsor && this.global)
-              this.isTranslationEnabled = true;
-            //for consumer scenario
-            else
-              this.isTranslationEnabled = sponsor.adminSpecificSponsors.includes(
-                id
-              );
-          } else {
-            this.isTranslationEnabled = sponsor.specificSponsors.includes(id);
-          }
-        })
-      );
+    return this.featureFlags ? this.featureFlags.refresh() : Promise.resolve();
   }
 
+  // Every sponsor matching `query`, see SponsorSearch. Pickers that page through results use
+  // `search` directly.
   @action
-  suggest({ repo = 'uat' }) {
-    return Promise.resolve(
-      this.sponsors.map(({ id: value, name: text }) => ({
+  suggest({ repo = 'uat', query = '' } = {}) {
+    return this.search.findAll(query, { repo }).then((results) =>
+      results.map(({ id: value, name: text, isCommunity }) => ({
         value,
         text,
+        group: isCommunity ? 'community' : 'enterprise',
       }))
     );
   }
 
+  // Resolves once the switch is done, so `sponsor` is the new one by then. Never rejects, for
+  // its fire-and-forget callers: an id the user cannot select falls back to the default sponsor,
+  // with the id kept in `forbiddenSponsor`, and a failed switch resolves with null.
   @action
-  setSponsor(sponsor, sessionStorage) {
-    this.sponsor = this.sponsors.find(({ id }) => id === sponsor);
-    if (this.sponsor.id)
-      sessionStorage.setItem('selectedSponsorId', this.sponsor.id);
-    else sessionStorage.removeItem('selectedSponsorId');
+  setSponsor(sponsorId, sessionStorage) {
     this.requestedSponsor = undefined;
-
+    const known =
+      !sponsorId || this.sponsors.some(({ id }) => id === sponsorId);
+    const result = this.switchSponsor(known ? sponsorId : this.defaultSponsor);
+    if (!known) this.sponsorForbidden(new ForbiddenSponsorError(sponsorId));
+
+    return result.then(
+      (selected) => {
+        if (selected.id) {
+          sessionStorage.setItem('selectedSponsorId', selected.id);
+        } else sessionStorage.removeItem('selectedSponsorId');
+        return selected;
+      },
+      (err) => {
+        debug('setSponsor(%s) failed: %o', sponsorId, err);
+        return null;
+      }
+    );
   }
 
   @action
@@ -0,0 +1,149 @@
+import { observable, action } from 'mobx';
+import { browserEnvironment, listen } from './environment';
+
+const debug = require('debug')('model.TabSync');
+
+const CHANNEL_NAME = 'auth.sync';
+// Fallback transport for browsers without BroadcastChannel: writing a key fires a `storage`
+// event in every other tab.
+const MESSAGE_KEY = 'auth.sync.message';
+const LEADER_KEY = 'auth.sync.leader';
+
+// The leader renews its lease every HEARTBEAT ms; another tab takes over once it lapses.
+const HEARTBEAT = 2000;
+const LEASE = 5000;
+
+// How long a follower waits for the leader to refresh before refreshing itself.
+const REFRESH_WAIT = 5000;
+
+// Messages are `{ type, payload, from, at }`. The types in use are login, logout, refresh,
+// refresh-request, expired and sponsor.
+export default class TabSync {
+  @observable isLeader = false;
+
+  id = `${Date.now()}-${Math.random()
+    .toString(36)
+    .substr(2, 8)}`;
+  listeners = {};
+  channel = null;
+
+  constructor (env = browserEnvironment()) {
+    debug('constructor() as %s', this.id);
+
+    this.env = env;
+    this.storage = env.localStorage;
+    if (env.BroadcastChannel) {
+      this.channel = new env.BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = event => this.receive(event.data);
+    }
+    this.removeListeners = [
+      listen(env, 'storage', this.handleStorage),
+      listen(env, 'beforeunload', this.resign)
+    ];
+
+    this.elect();
+    this.heartbeatId = env.clock.setInterval(this.elect, HEARTBEAT);
+  }
+
+  broadcast (type, payload = null) {
+    debug('broadcast(%s,%o)', type, payload);
+
+    const message = { type, payload, from: this.id, at: this.env.clock.now() };
+    if (this.channel) {
+      this.channel.postMessage(message);
+    } else {
+      this.storage.setItem(MESSAGE_KEY, JSON.stringify(message));
+      this.storage.removeItem(MESSAGE_KEY);
+    }
+  }
+
+  on (type, listener) {
+    this.listeners[type] = [...(this.listeners[type] || []), listener];
+    return () => {
+      this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+    };
+  }
+
+  receive (message) {
+    if (!message || message.from === this.id) return;
+    debug('receive(%o)', message);
+
+    (this.listeners[message.type] || []).forEach(listener =>
+      listener(message.payload, message)
+    );
+  }
+
+  // Asks the leader to refresh the session. Resolves once any tab reports a refresh, rejects if
+  // one reports the session expired, and resolves false if nobody answered in time.
+  requestRefresh (timeout = REFRESH_WAIT) {
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        this.env.clock.clearTimeout(timeoutId);
+        offRefresh();
+        offExpired();
+      };
+      const offRefresh = this.on('refresh', () => {
+        done();
+        resolve(true);
+      });
+      const offExpired = this.on('expired', payload => {
+        done();
+        reject(payload);
+      });
+      const timeoutId = this.env.clock.setTimeout(() => {
+        done();
+        resolve(false);
+      }, timeout);
+
+      this.broadcast('refresh-request');
+    });
+  }
+
+  handleStorage = event => {
+    if (event.key === MESSAGE_KEY && event.newValue) {
+      this.receive(JSON.parse(event.newValue));
+    } else if (event.key === LEADER_KEY) {
+      this.elect();
+    }
+  };
+
+  // Claims leadership when there is no leader or its lease has lapsed. Two tabs may write at
+  // the same moment; whichever wrote last wins and the other sees that on its re-read.
+  elect = action(() => {
+    const now = this.env.clock.now();
+    const lease = this.readLease();
+    if (!lease || lease.id === this.id || lease.expires < now) {
+      this.storage.setItem(
+        LEADER_KEY,
+        JSON.stringify({ id: this.id, expires: now + LEASE })
+      );
+    }
+
+    const isLeader = (this.readLease() || {}).id === this.id;
+    if (isLeader !== this.isLeader) debug('isLeader = %s', isLeader);
+    this.isLeader = isLeader;
+  });
+
+  readLease () {
+    try {
+      return JSON.parse(this.storage.getItem(LEADER_KEY));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  resign = action(() => {
+    if ((this.readLease() || {}).id === this.id) {
+      this.storage.removeItem(LEADER_KEY);
+    }
+    this.isLeader = false;
+  });
+
+  dispose () {
+    this.env.clock.clearInterval(this.heartbeatId);
+    this.resign();
+    this.removeListeners.forEach(remove => remove());
+    if (this.channel) this.channel.close();
+    this.listeners = {};
+  }
+}
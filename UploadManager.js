@@ -0,0 +1,384 @@
+import { observable, action, computed } from 'mobx';
+import {
+  ApiError,
+  CancelError,
+  NetworkError,
+  errorFromResponse
+} from './errors';
+import { appendQuery, describeRequest, linkSignal } from './requestHelpers';
+
+const debug = require('debug')('model.UploadManager');
+
+// Weight given to the latest sample when smoothing the transfer speed.
+const SPEED_SMOOTHING = 0.3;
+// Chunks in a row the server may acknowledge without its offset moving before the upload fails.
+const MAX_STALLED_CHUNKS = 3;
+
+const isSuccess = status => status >= 200 && status < 300;
+
+// Upload endpoints do not always answer with JSON; fall back to the raw text.
+const parseBody = text => {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+};
+
+// Chunked uploads remember their server-side upload id and acknowledged offset here, so a
+// retried upload (or the same file picked again after a reload) resumes where it stopped.
+const resumeKey = (url, file) =>
+  `upload.${url}.${file.name}.${file.size}.${file.lastModified}`;
+
+const loadResume = (storage, url, file) => {
+  try {
+    return JSON.parse(storage.getItem(resumeKey(url, file))) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const saveResume = (storage, url, file, state) =>
+  storage.setItem(resumeKey(url, file), JSON.stringify(state));
+
+const clearResume = (storage, url, file) =>
+  storage.removeItem(resumeKey(url, file));
+
+export class Upload {
+  // pending | uploading | done | failed | cancelled
+  @observable status = 'pending';
+  @observable loaded = 0;
+  @observable speed = 0;
+  @observable error = null;
+  @observable result = null;
+
+  promise = null;
+  controller = null;
+
+  // `options` are RESTStore.upload options, plus `chunkSize` to send each file in slices of that
+  // many bytes and `fieldName` for the multipart field the files go in (defaults to `file`).
+  constructor (restStore, url, files, options = {}, recordActivity = true) {
+    this.restStore = restStore;
+    this.env = restStore.env;
+    this.url = url;
+    this.files = files;
+    this.options = options;
+    this.recordActivity = recordActivity;
+    this.total = files.reduce((total, file) => total + (file.size || 0), 0);
+
+    // An upload given a signal that is already aborted never starts, see start().
+    if (options.signal) {
+      options.signal.addEventListener('abort', () => this.cancel(), {
+        once: true
+      });
+    }
+  }
+
+  @computed
+  get progress () {
+    if (this.status === 'done') return 100;
+    return this.total ? Math.round((this.loaded * 100.0) / this.total) : 0;
+  }
+
+  @computed
+  get isActive () {
+    return this.status === 'pending' || this.status === 'uploading';
+  }
+
+  @action
+  start () {
+    debug('start(%s)', this.url);
+
+    this.status = 'uploading';
+    this.error = null;
+    this.speed = 0;
+    this.controller = new AbortController();
+
+    const { signal, ...options } = this.options;
+    const transferred =
+      signal && signal.aborted
+        ? Promise.reject(
+            new CancelError(describeRequest(this.url, options.method))
+          )
+        : this.restStore.interceptors.run(
+            { ...options, url: this.url, files: this.files, type: 'upload' },
+            request => this.transfer(request)
+          );
+    this.promise = transferred.then(
+      action(result => {
+        this.status = 'done';
+        this.result = result;
+        return result;
+      }),
+      action(error => {
+        this.status = error instanceof CancelError ? 'cancelled' : 'failed';
+        this.error = error;
+        if (this.status === 'failed') this.restStore.recordError(error);
+        throw error;
+      })
+    );
+    // Callers that only watch the observable state should not trigger unhandled rejections.
+    this.promise.catch(() => undefined);
+    this.restStore.uploads.track(this);
+
+    return this.promise;
+  }
+
+  @action
+  cancel () {
+    debug('cancel(%s)', this.url);
+    if (this.controller) this.controller.abort();
+  }
+
+  // Chunked uploads pick up from the last acknowledged chunk.
+  @action
+  retry () {
+    debug('retry(%s)', this.url);
+    if (this.isActive) return this.promise;
+    return this.start();
+  }
+
+  async transfer ({
+    url,
+    files,
+    method = 'POST',
+    query,
+    headers = {},
+    timeout,
+    tag,
+    chunkSize,
+    fieldName = 'file',
+    skipRefresh,
+    ...data
+  }) {
+    url = appendQuery(url, query);
+    const request = describeRequest(url, method, tag);
+    const link = linkSignal(
+      request,
+      this.controller.signal,
+      timeout,
+      this.env.clock
+    );
+
+    try {
+      if (!skipRefresh && this.recordActivity) {
+        await link.guard(this.restStore.refresh());
+      }
+
+      if (!chunkSize) {
+        this.loaded = 0;
+        const form = new this.env.FormData();
+        Object.entries(data).forEach(([key, value]) =>
+          form.append(key, JSON.stringify(value))
+        );
+        files.forEach(file => form.append(fieldName, file));
+        return await this.send(link, request, {
+          headers,
+          body: form,
+          onProgress: loaded => loaded
+        });
+      }
+
+      const results = [];
+      let done = 0;
+      for (const file of files) {
+        results.push(
+          await this.sendChunks(link, request, file, {
+            headers,
+            data,
+            fieldName,
+            chunkSize,
+            uploaded: done
+          })
+        );
+        done += file.size;
+      }
+      return files.length === 1 ? results[0] : results;
+    } finally {
+      link.release();
+    }
+  }
+
+  // Each chunk carries a Content-Range header. The server may answer with `{ uploadId }` (sent
+  // back on later chunks as X-Upload-Id) and `{ offset }` to say how many bytes it really has.
+  async sendChunks (
+    link,
+    request,
+    file,
+    { headers, data, fieldName, chunkSize, uploaded }
+  ) {
+    const storage = this.env.localStorage;
+    let { uploadId, offset = 0 } = loadResume(storage, request.url, file);
+    let result = null;
+    let stalled = 0;
+
+    do {
+      const end = Math.min(offset + chunkSize, file.size);
+      const start = offset;
+      const form = new this.env.FormData();
+      Object.entries(data).forEach(([key, value]) =>
+        form.append(key, JSON.stringify(value))
+      );
+      form.append(fieldName, file.slice(start, end), file.name);
+
+      this.loaded = uploaded + start;
+      result = await this.send(link, request, {
+        headers: {
+          ...headers,
+          // An empty file has no byte range to send.
+          'Content-Range': file.size
+            ? `bytes ${start}-${end - 1}/${file.size}`
+            : 'bytes */0',
+          ...(uploadId ? { 'X-Upload-Id': uploadId } : {})
+        },
+        body: form,
+        onProgress: loaded => uploaded + start + Math.min(loaded, end - start)
+      });
+
+      if (result && result.uploadId) uploadId = result.uploadId;
+      offset =
+        result && typeof result.offset === 'number' ? result.offset : end;
+      saveResume(storage, request.url, file, { uploadId, offset });
+
+      stalled = offset > start ? 0 : stalled + 1;
+      if (stalled >= MAX_STALLED_CHUNKS && offset < file.size) {
+        clearResume(storage, request.url, file);
+        throw new ApiError(
+          `Upload of ${file.name} stopped making progress at byte ${offset}`,
+          { request }
+        );
+      }
+    } while (offset < file.size);
+
+    clearResume(storage, request.url, file);
+    return result;
+  }
+
+  send (link, request, { headers, body, onProgress }) {
+    const { XMLHttpRequest, clock } = this.env;
+    return new Promise((resolve, reject) => {
+      if (!XMLHttpRequest) {
+        reject(new NetworkError('Uploads are not supported here', { request }));
+        return;
+      }
+      const xhr = new XMLHttpRequest();
+      xhr.open(request.method, request.url, true);
+      Object.entries(headers).forEach(([key, value]) =>
+        xhr.setRequestHeader(key, value)
+      );
+
+      const onAbort = () => {
+        xhr.abort();
+        reject(link.reason);
+      };
+      if (link.reason) {
+        reject(link.reason);
+        return;
+      }
+      // Every chunk adds one, so each must go once its chunk settles, however it does.
+      link.signal.addEventListener('abort', onAbort, { once: true });
+      const removeAbortListener = () =>
+        link.signal.removeEventListener('abort', onAbort);
+
+      let sampledAt = clock.now();
+      let sampledBytes = this.loaded;
+      xhr.upload.addEventListener(
+        'progress',
+        action(event => {
+          const loaded = onProgress(event.loaded);
+          const now = clock.now();
+          if (now > sampledAt) {
+            const speed = ((loaded - sampledBytes) * 1000) / (now - sampledAt);
+            this.speed = this.speed
+              ? this.speed + SPEED_SMOOTHING * (speed - this.speed)
+              : speed;
+            sampledAt = now;
+            sampledBytes = loaded;
+          }
+          this.loaded = loaded;
+        })
+      );
+
+      xhr.addEventListener('error', () => {
+        removeAbortListener();
+        if (!link.reason) reject(new NetworkError(null, { request }));
+      });
+      xhr.addEventListener('abort', removeAbortListener);
+
+      xhr.addEventListener(
+        'load',
+        action(() => {
+          removeAbortListener();
+          this.restStore.status = xhr.status;
+
+          const responseBody = parseBody(xhr.responseText);
+          if (isSuccess(xhr.status)) resolve(responseBody);
+          else reject(errorFromResponse(xhr, responseBody, request));
+        })
+      );
+
+      xhr.send(body);
+    });
+  }
+}
+
+export default class UploadManager {
+  @observable uploads = [];
+
+  constructor (restStore) {
+    debug('constructor(%o)', restStore);
+
+    this.restStore = restStore;
+  }
+
+  @computed
+  get active () {
+    return this.uploads.filter(upload => upload.isActive);
+  }
+
+  // Overall progress of the uploads still in flight.
+  @computed
+  get progress () {
+    const total = this.active.reduce((sum, { total }) => sum + total, 0);
+    const loaded = this.active.reduce((sum, { loaded }) => sum + loaded, 0);
+    return total ? Math.round((loaded * 100.0) / total) : 0;
+  }
+
+  @action
+  add (url, files, options = {}, recordActivity = true) {
+    debug('add(%s,%o,%o,%s)', url, files, options, recordActivity);
+
+    const upload = new Upload(
+      this.restStore,
+      url,
+      Array.isArray(files) ? files : [files],
+      options,
+      recordActivity
+    );
+    upload.start();
+    return upload;
+  }
+
+  // Uploads stay in the list until they settle; retrying one puts it back.
+  @action
+  track (upload) {
+    if (!this.uploads.includes(upload)) this.uploads.push(upload);
+    const settled = action(() => {
+      if (!upload.isActive) this.uploads.remove(upload);
+    });
+    upload.promise.then(settled, settled);
+  }
+
+  @action
+  remove (upload) {
+    upload.cancel();
+    this.uploads.remove(upload);
+  }
+
+  // Settled uploads now leave the list by themselves; kept for existing callers.
+  @action
+  clearFinished () {
+    this.uploads.replace(this.uploads.filter(upload => upload.isActive));
+  }
+}
@@ -0,0 +1,150 @@
+// Everything the stores take from the browser: fetch, storage, timers and DOM events. RESTStore
+// holds one and hands it to the rest, so tests can run the stores in Node with fakes.
+//
+// An environment is `{ fetch, localStorage, sessionStorage, indexedDB, clock, events,
+// BroadcastChannel, online, location, history, crypto, XMLHttpRequest, FormData }`. `clock` is
+// `{ now, setTimeout, clearTimeout, setInterval, clearInterval }`; `events` is something with
+// addEventListener/removeEventListener, or null. `location` needs only `href` and `history` only
+// pushState/replaceState; both may be null. `crypto` is a Web Crypto implementation, used for
+// PKCE, and the last two are only needed for uploads.
+
+export const browserEnvironment = () => ({
+  fetch: (...args) => window.fetch(...args),
+  localStorage: window.localStorage,
+  sessionStorage: window.sessionStorage,
+  indexedDB: window.indexedDB || null,
+  clock: {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => window.setTimeout(fn, ms),
+    clearTimeout: id => window.clearTimeout(id),
+    setInterval: (fn, ms) => window.setInterval(fn, ms),
+    clearInterval: id => window.clearInterval(id)
+  },
+  events: window,
+  BroadcastChannel:
+    typeof window.BroadcastChannel === 'function'
+      ? window.BroadcastChannel
+      : null,
+  get online () {
+    return window.navigator.onLine !== false;
+  },
+  get location () {
+    return window.location;
+  },
+  get history () {
+    return window.history;
+  },
+  crypto: window.crypto,
+  XMLHttpRequest: window.XMLHttpRequest,
+  FormData: window.FormData
+});
+
+// Adds a DOM event listener when the environment has events and returns a function removing it.
+export const listen = (env, type, listener, options) => {
+  if (!env.events) return () => undefined;
+  env.events.addEventListener(type, listener, options);
+  return () => env.events.removeEventListener(type, listener);
+};
+
+// A synchronous Storage kept in memory.
+export const memoryStorage = (initial = {}) => {
+  const items = new Map(Object.entries(initial));
+  return {
+    get length () {
+      return items.size;
+    },
+    key: index => Array.from(items.keys())[index] || null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  };
+};
+
+// A clock that only moves when told to. advance() runs every timer that falls due on the way, in
+// order, so a test can step through session timeouts without waiting for them.
+export const manualClock = (start = 0) => {
+  let now = start;
+  let nextId = 1;
+  const timers = new Map();
+
+  const schedule = (fn, ms, repeat) => {
+    const id = nextId++;
+    timers.set(id, { fn, at: now + (ms || 0), every: repeat ? ms || 1 : 0 });
+    return id;
+  };
+
+  return {
+    now: () => now,
+    setTimeout: (fn, ms) => schedule(fn, ms, false),
+    clearTimeout: id => timers.delete(id),
+    setInterval: (fn, ms) => schedule(fn, ms, true),
+    clearInterval: id => timers.delete(id),
+    get pending () {
+      return timers.size;
+    },
+    advance (ms) {
+      const until = now + ms;
+      for (;;) {
+        const due = Array.from(timers.entries())
+          .filter(([, timer]) => timer.at <= until)
+          .sort(([, a], [, b]) => a.at - b.at)[0];
+        if (!due) break;
+
+        const [id, timer] = due;
+        now = timer.at;
+        if (timer.every) timer.at += timer.every;
+        else timers.delete(id);
+        timer.fn();
+      }
+      now = until;
+    }
+  };
+};
+
+// A location and history kept in memory, starting at `url`.
+export const memoryHistory = (url = 'http://localhost/') => {
+  let href = url;
+  const go = (state, title, next) => {
+    href = new URL(next, href).href;
+  };
+  return {
+    location: {
+      get href () {
+        return href;
+      }
+    },
+    history: { pushState: go, replaceState: go }
+  };
+};
+
+// Without a `fetch`, every request fails as if the network were down, and likewise every upload
+// without an `XMLHttpRequest`. `url` is where the app was opened. Node's own Web Crypto and
+// FormData are used when it has them.
+export const testEnvironment = ({
+  fetch,
+  storage,
+  sessionStorage,
+  clock,
+  online = true,
+  url,
+  crypto = typeof globalThis.crypto === 'object' ? globalThis.crypto : null,
+  XMLHttpRequest = null,
+  FormData = typeof globalThis.FormData === 'function'
+    ? globalThis.FormData
+    : null
+} = {}) => ({
+  ...memoryHistory(url),
+  fetch:
+    fetch || (() => Promise.reject(new TypeError('Failed to fetch'))),
+  localStorage: storage || memoryStorage(),
+  sessionStorage: sessionStorage || memoryStorage(),
+  indexedDB: null,
+  clock: clock || manualClock(),
+  events: null,
+  BroadcastChannel: null,
+  online,
+  crypto,
+  XMLHttpRequest,
+  FormData
+});
@@ -0,0 +1,136 @@
+import { formatErrors } from './schema';
+
+// `request` on every error is `{ url, method, tag }` for the call that failed.
+export class ApiError extends Error {
+  constructor (message, { status, body, request } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.body = body;
+    this.request = request;
+  }
+}
+
+export class HttpError extends ApiError {
+  constructor (message, details) {
+    super(message, details);
+    this.name = 'HttpError';
+  }
+}
+
+export class AuthError extends HttpError {
+  constructor (message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+// `fieldErrors` maps field names to messages, e.g. `{ email: 'Email is already in use' }`.
+export class ValidationError extends HttpError {
+  constructor (message, details = {}) {
+    super(message, details);
+    this.name = 'ValidationError';
+    this.fieldErrors = details.fieldErrors || {};
+  }
+}
+
+// The server rejected a write because the resource changed underneath it (409 or 412).
+export class ConflictError extends HttpError {
+  constructor (message, details) {
+    super(message, details);
+    this.name = 'ConflictError';
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor (message, details) {
+    super(message || 'Network request failed', details);
+    this.name = 'NetworkError';
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor (request, timeout) {
+    super(`Request to ${request.url} timed out after ${timeout}ms`, {
+      request
+    });
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+export class CancelError extends ApiError {
+  constructor (request) {
+    super(`Request to ${request.url} was cancelled`, { request });
+    this.name = 'CancelError';
+  }
+}
+
+// A response did not match the schema declared for it. `errors` lists `{ path, message }`.
+export class SchemaError extends ApiError {
+  constructor (request, errors, body) {
+    super(
+      `Unexpected response from ${request.method} ${
+        request.url
+      }: ${formatErrors(errors)}`,
+      { body, request }
+    );
+    this.name = 'SchemaError';
+    this.errors = errors;
+  }
+}
+
+// A sponsor was requested, e.g. by a deep link, that the user cannot select or that does not
+// exist.
+export class ForbiddenSponsorError extends Error {
+  constructor (sponsorId) {
+    super(`Sponsor ${sponsorId} is not available`);
+    this.name = 'ForbiddenSponsorError';
+    this.sponsorId = sponsorId;
+  }
+}
+
+export const errorMessage = (response, body) => {
+  if (body && body.error_description) {
+    return body.error_description;
+  } else if (body && body.error) {
+    return body.error;
+  } else {
+    return `${response.status} - ${JSON.stringify(body)}`;
+  }
+};
+
+// Accepts either `{ errors: { field: message } }` or `{ errors: [{ field, message }] }`.
+const fieldErrorsOf = body => {
+  const errors = body && (body.fieldErrors || body.errors);
+  if (Array.isArray(errors)) {
+    return errors.reduce(
+      (fields, { field, message }) =>
+        field ? { ...fields, [field]: message } : fields,
+      {}
+    );
+  }
+  return errors && typeof errors === 'object' ? { ...errors } : {};
+};
+
+export const errorFromResponse = (response, body, request) => {
+  const message = errorMessage(response, body);
+  const details = { status: response.status, body, request };
+
+  switch (Number(response.status)) {
+    case 401:
+    case 403:
+      return new AuthError(message, details);
+    case 400:
+    case 422:
+      return new ValidationError(message, {
+        ...details,
+        fieldErrors: fieldErrorsOf(body)
+      });
+    case 409:
+    case 412:
+      return new ConflictError(message, details);
+    default:
+      return new HttpError(message, details);
+  }
+};
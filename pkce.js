@@ -0,0 +1,17 @@
+// Helpers for the OAuth2 authorization-code flow with PKCE (RFC 7636). `crypto` is the
+// environment's Web Crypto, see environment.js; btoa and TextEncoder are globals in Node too.
+
+const base64url = bytes =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+// 32 random bytes give a 43 character verifier, the shortest RFC 7636 allows.
+export const randomToken = (crypto, size = 32) =>
+  base64url(crypto.getRandomValues(new Uint8Array(size)));
+
+export const createChallenge = async (crypto, verifier) =>
+  base64url(
+    await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier))
+  );
@@ -0,0 +1,73 @@
+import qs from 'qs';
+import { CancelError, TimeoutError } from './errors';
+
+export const appendQuery = (url, query) => {
+  if (!query || Object.keys(query).length === 0) return url;
+  return (
+    url +
+    (url.indexOf('?') === -1 ? '?' : '&') +
+    qs.stringify(query, { skipNulls: true })
+  );
+};
+
+// Describes a request on the errors it produces. The tag keys the `errors` registry and defaults
+// to the method and path, e.g. `POST /api/account`.
+export const describeRequest = (url, method = 'GET', tag) => {
+  method = method.toUpperCase();
+  return { url, method, tag: tag || `${method} ${url.split('?')[0]}` };
+};
+
+// Combines the caller's abort signal and an optional timeout into a single AbortController, so a
+// request can be stopped from either side and the rejection says which one it was. `clock` is
+// the environment's, see environment.js.
+export const linkSignal = (
+  request,
+  signal,
+  timeout,
+  clock = { setTimeout, clearTimeout }
+) => {
+  // The global rather than window's, so the stores also run in Node.
+  const controller = new AbortController();
+  let reason = null;
+
+  const abort = error => {
+    if (reason) return;
+    reason = error;
+    controller.abort();
+  };
+  const onAbort = () => abort(new CancelError(request));
+
+  const timeoutId =
+    timeout > 0
+      ? clock.setTimeout(
+          () => abort(new TimeoutError(request, timeout)),
+          timeout
+        )
+      : null;
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort);
+  }
+
+  return {
+    signal: controller.signal,
+    get reason () {
+      return reason;
+    },
+    // Settles with the given promise, or rejects as soon as the request is aborted.
+    guard (promise) {
+      return new Promise((resolve, reject) => {
+        if (reason) {
+          reject(reason);
+          return;
+        }
+        controller.signal.addEventListener('abort', () => reject(reason));
+        promise.then(resolve, reject);
+      });
+    },
+    release () {
+      if (timeoutId !== null) clock.clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  };
+};
@@ -0,0 +1,159 @@
+// A small runtime schema library for API payloads. A schema is `{ describe, check }`, where
+// `check(value, path, coerce)` returns `{ value, errors }` and every error is `{ path, message }`
+// with paths like `SPONSORS[0].URL`.
+//
+// With `coerce`, values of the wrong but convertible type are converted: numeric strings to
+// numbers, 'true'/'false' to booleans and numbers or booleans to strings.
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const ok = value => ({ value, errors: [] });
+
+const fail = (path, message, value) => ({
+  value,
+  errors: [{ path: path || '(root)', message }]
+});
+
+const mismatch = (path, describe, value) =>
+  fail(path, `expected ${describe}, got ${typeOf(value)}`, value);
+
+const scalar = (describe, accepts, convert) => ({
+  describe,
+  check (value, path, coerce) {
+    if (accepts(value)) return ok(value);
+    if (coerce) {
+      const converted = convert(value);
+      if (converted !== undefined && accepts(converted)) return ok(converted);
+    }
+    return mismatch(path, describe, value);
+  }
+});
+
+export const string = () =>
+  scalar(
+    'string',
+    value => typeof value === 'string',
+    value =>
+      typeof value === 'number' || typeof value === 'boolean'
+        ? String(value)
+        : undefined
+  );
+
+export const number = () =>
+  scalar(
+    'number',
+    value => typeof value === 'number' && !Number.isNaN(value),
+    value =>
+      typeof value === 'string' && value.trim() !== ''
+        ? Number(value)
+        : undefined
+  );
+
+export const boolean = () =>
+  scalar(
+    'boolean',
+    value => typeof value === 'boolean',
+    value => {
+      if (value === 'true' || value === 1) return true;
+      if (value === 'false' || value === 0) return false;
+      return undefined;
+    }
+  );
+
+export const any = () => ({ describe: 'any value', check: ok });
+
+export const oneOf = values => ({
+  describe: `one of ${values.map(value => JSON.stringify(value)).join(', ')}`,
+  check (value, path) {
+    return values.includes(value)
+      ? ok(value)
+      : fail(path, `expected ${this.describe}, got ${JSON.stringify(value)}`);
+  }
+});
+
+// Missing (undefined or null) values pass, and are replaced by `fallback` when one is given.
+export const optional = (schema, fallback) => ({
+  describe: `optional ${schema.describe}`,
+  check (value, path, coerce) {
+    if (value === undefined || value === null) {
+      return ok(fallback !== undefined ? fallback : value);
+    }
+    return schema.check(value, path, coerce);
+  }
+});
+
+export const nullable = schema => ({
+  describe: `${schema.describe} or null`,
+  check (value, path, coerce) {
+    return value === null ? ok(value) : schema.check(value, path, coerce);
+  }
+});
+
+export const array = item => ({
+  describe: `array of ${item.describe}`,
+  check (value, path, coerce) {
+    if (!Array.isArray(value)) return mismatch(path, 'array', value);
+
+    return value.reduce(
+      (result, element, i) => {
+        const checked = item.check(element, `${path}[${i}]`, coerce);
+        return {
+          value: [...result.value, checked.value],
+          errors: [...result.errors, ...checked.errors]
+        };
+      },
+      { value: [], errors: [] }
+    );
+  }
+});
+
+// Keys not in `shape` are passed through untouched.
+export const object = shape => ({
+  describe: 'object',
+  check (value, path, coerce) {
+    if (typeOf(value) !== 'object') return mismatch(path, 'object', value);
+
+    return Object.keys(shape).reduce(
+      (result, key) => {
+        const checked = shape[key].check(
+          value[key],
+          path ? `${path}.${key}` : key,
+          coerce
+        );
+        return {
+          value:
+            checked.value === undefined
+              ? result.value
+              : { ...result.value, [key]: checked.value },
+          errors: [...result.errors, ...checked.errors]
+        };
+      },
+      { value: { ...value }, errors: [] }
+    );
+  }
+});
+
+// The first schema that matches wins. When none does, the errors of the closest one are
+// reported.
+export const union = (...schemas) => ({
+  describe: schemas.map(schema => schema.describe).join(' or '),
+  check (value, path, coerce) {
+    const results = schemas.map(schema => schema.check(value, path, coerce));
+    const match = results.find(({ errors }) => !errors.length);
+    if (match) return match;
+    return results.reduce((closest, result) =>
+      result.errors.length < closest.errors.length ? result : closest
+    );
+  }
+});
+
+// `{ value, errors }` for a whole payload; `value` is the coerced copy.
+export const validate = (schema, value, { coerce = false } = {}) =>
+  schema.check(value, '', coerce);
+
+export const formatErrors = errors =>
+  errors.map(({ path, message }) => `${path}: ${message}`).join('; ');
@@ -0,0 +1,100 @@
+import {
+  any,
+  array,
+  boolean,
+  nullable,
+  number,
+  object,
+  optional,
+  string,
+  union
+} from './schema';
+
+// Response schemas for the endpoints the stores read. Only fields the stores use are declared;
+// anything else is passed through.
+
+// GET /api/configs
+export const configSchema = object({
+  BASE_HOST: optional(string()),
+  SSO_METHOD: optional(string()),
+  SSO_HOST: optional(string()),
+  SSO_CLIENT: optional(string()),
+  CLOUDINARY_CLOUD_NAME: optional(string()),
+  SITE: optional(string()),
+  SITE_NAME: optional(string()),
+  SITE_SUPPORT: optional(
+    object({
+      email: optional(string()),
+      phoneNumber: optional(string()),
+      url: optional(string()),
+      notes: optional(string())
+    })
+  ),
+  MULTISPONSOR: optional(boolean()),
+  SPONSOR: optional(string()),
+  SPONSORS: optional(array(object({ URL: string(), NAME: string() }))),
+  SESSION_TIMEOUT: optional(number()),
+  ACCESS_TIMEOUT: optional(number()),
+  SESSION_WARNING: optional(number()),
+  PASSWORD_POLICY: optional(
+    object({
+      minLength: optional(number()),
+      maxLength: optional(number()),
+      requireUppercase: optional(boolean()),
+      requireLowercase: optional(boolean()),
+      requireDigit: optional(boolean()),
+      requireSymbol: optional(boolean()),
+      disallowUsername: optional(boolean())
+    })
+  ),
+  FEATURES: optional(object({})),
+  // Keyed by sponsor id; each entry takes the keys above.
+  SPONSOR_CONFIGS: optional(object({}))
+});
+
+// GET /api/account and every endpoint that answers with the signed-in account.
+export const accountSchema = object({
+  username: string(),
+  firstName: optional(string()),
+  lastName: optional(string()),
+  email: optional(string()),
+  phoneNumber: optional(nullable(string())),
+  hasPassword: optional(boolean()),
+  sponsor: optional(string()),
+  sponsors: optional(array(string()), []),
+  permissions: optional(
+    array(
+      object({
+        module: string(),
+        roles: optional(array(string()), []),
+        sponsor: optional(any())
+      })
+    ),
+    []
+  )
+});
+
+// POST /api/auth/login answers with the account, or with a second-factor challenge.
+export const loginSchema = union(
+  object({
+    challenge: object({ token: string(), type: optional(string()) })
+  }),
+  accountSchema
+);
+
+// GET /api/features
+export const featuresSchema = object({
+  flags: optional(object({}), {})
+});
+
+// GET /api/sponsors
+export const sponsorPageSchema = object({
+  items: array(object({ URL: string(), NAME: string() })),
+  total: number()
+});
+
+// GET /api/auth/enableTranslation
+export const translationSchema = object({
+  specificSponsors: optional(array(string()), []),
+  adminSpecificSponsors: optional(array(string()), [])
+});